@@ -0,0 +1,343 @@
+import { LightningElement } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
+import getUsageStats from '@salesforce/apex/CasePresenceCounterHelper.getUsageStats';
+import resetCounters from '@salesforce/apex/CasePresenceCounterHelper.resetCounters';
+import getUsageSeries from '@salesforce/apex/CasePresenceUsageMeter.getUsageSeries';
+import getRetentionStatus from '@salesforce/apex/CasePresenceRetentionJob.getRetentionStatus';
+import runRetentionNow from '@salesforce/apex/CasePresenceRetentionJob.runRetentionNow';
+import scheduleRetention from '@salesforce/apex/CasePresenceRetentionJob.scheduleRetention';
+import unscheduleRetention from '@salesforce/apex/CasePresenceRetentionJob.unscheduleRetention';
+import { formatLabel, formatDateTime, formatDuration, formatGmtDay, formatNumber } from 'c/presenceI18n';
+import LABELS from './labels';
+
+// Friendly names for the org limits Case_Presence__e counts against
+const LIMIT_LABELS = {
+    HourlyPublishedPlatformEvents: LABELS.limitPublishedHourly,
+    DailyDeliveredPlatformEvents: LABELS.limitDeliveredDaily
+};
+
+const TOP_RECORD_COLUMNS = [
+    {
+        label: LABELS.columnRecord,
+        fieldName: 'recordUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'recordName' }, target: '_blank' }
+    },
+    { label: LABELS.columnObject, fieldName: 'objectApiName' },
+    { label: LABELS.columnViewers, fieldName: 'viewerCount', type: 'number', initialWidth: 100 },
+    { label: LABELS.columnVisits, fieldName: 'visitCount', type: 'number', initialWidth: 100 },
+    { label: LABELS.columnPeakConcurrent, fieldName: 'peakConcurrentViewers', type: 'number', initialWidth: 150 }
+];
+
+// Days of metered usage shown in the daily table
+const USAGE_SERIES_DAYS = 14;
+
+// Metered call types, in column order
+const CALL_TYPES = [
+    { name: 'heartbeat', label: LABELS.heartbeats },
+    { name: 'stateChange', label: LABELS.stateChanges },
+    { name: 'claim', label: LABELS.claims },
+    { name: 'draftCheck', label: LABELS.draftChecks },
+    { name: 'duplicateHeartbeat', label: LABELS.droppedDuplicates }
+];
+
+const DAILY_USAGE_COLUMNS = [
+    { label: LABELS.columnDay, fieldName: 'dayLabel' },
+    ...CALL_TYPES.map(callType => ({ label: callType.label, fieldName: callType.name, type: 'number' })),
+    { label: LABELS.columnTotal, fieldName: 'total', type: 'number' }
+];
+
+const RETENTION_RUN_COLUMNS = [
+    { label: LABELS.columnRun, fieldName: 'Name', initialWidth: 110 },
+    { label: LABELS.columnStarted, fieldName: 'startedLabel' },
+    { label: LABELS.columnStatus, fieldName: 'Status__c' },
+    { label: LABELS.columnLogsDeleted, fieldName: 'Logs_Deleted__c', type: 'number', initialWidth: 130 },
+    { label: LABELS.columnSummariesWritten, fieldName: 'Summaries_Written__c', type: 'number', initialWidth: 160 },
+    { label: LABELS.columnSummariesDeleted, fieldName: 'Summaries_Deleted__c', type: 'number', initialWidth: 160 },
+    { label: LABELS.columnVisitsDeleted, fieldName: 'Visits_Deleted__c', type: 'number', initialWidth: 130 },
+    { label: LABELS.columnErrors, fieldName: 'Errors__c', wrapText: true }
+];
+
+/**
+ * Admin dashboard for the presence counters: heartbeat and draft check volume, daily usage
+ * by call type, Platform Event consumption vs org allocation, most-viewed records and peak concurrency.
+ * Used to tune Heartbeat_Frequency_Seconds__c. Also runs and schedules the presence log
+ * retention job (CasePresenceRetentionJob) and shows its recent runs.
+ */
+export default class CasePresenceAdminDashboard extends LightningElement {
+    usage;
+    error;
+    isLoading = false;
+    isResetting = false;
+    dailyUsage = [];
+    retention;
+    isRetentionBusy = false;
+
+    labels = LABELS;
+    topRecordColumns = TOP_RECORD_COLUMNS;
+    dailyUsageColumns = DAILY_USAGE_COLUMNS;
+    retentionRunColumns = RETENTION_RUN_COLUMNS;
+
+    connectedCallback() {
+        this.loadUsage();
+        this.loadDailyUsage();
+        this.loadRetention();
+    }
+
+    async loadUsage() {
+        this.isLoading = true;
+        try {
+            this.usage = await getUsageStats();
+            this.error = null;
+        } catch (error) {
+            console.error('Error loading usage stats:', error);
+            this.error = this.getErrorMessage(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadDailyUsage() {
+        const endDate = new Date();
+        const startDate = new Date(endDate.getTime() - (USAGE_SERIES_DAYS - 1) * 24 * 60 * 60 * 1000);
+        try {
+            const series = await getUsageSeries({
+                granularity: 'day',
+                startDate: this.toGmtDate(startDate),
+                endDate: this.toGmtDate(endDate),
+                groupBy: 'callType'
+            });
+            this.dailyUsage = this.toDailyRows(series);
+        } catch (error) {
+            console.error('Error loading daily usage:', error);
+            this.dailyUsage = [];
+        }
+    }
+
+    // One row per day, newest first, one column per call type
+    toDailyRows(series) {
+        const rowsByDay = new Map();
+        (series || []).forEach(point => {
+            const day = point.bucketStart.substring(0, 10);
+            if (!rowsByDay.has(day)) {
+                const row = { day, dayLabel: formatGmtDay(day), total: 0 };
+                CALL_TYPES.forEach(callType => {
+                    row[callType.name] = 0;
+                });
+                rowsByDay.set(day, row);
+            }
+            const row = rowsByDay.get(day);
+            row[point.dimension] = (row[point.dimension] || 0) + point.count;
+            row.total += point.count;
+        });
+        return Array.from(rowsByDay.values()).sort((a, b) => b.day.localeCompare(a.day));
+    }
+
+    toGmtDate(date) {
+        return date.toISOString().substring(0, 10);
+    }
+
+    async loadRetention() {
+        try {
+            this.retention = await getRetentionStatus();
+        } catch (error) {
+            console.error('Error loading retention status:', error);
+            this.showToast(LABELS.retentionUnavailable, this.getErrorMessage(error), 'error');
+        }
+    }
+
+    handleRefresh() {
+        this.loadUsage();
+        this.loadDailyUsage();
+        this.loadRetention();
+    }
+
+    async handleRunRetention() {
+        const confirmed = await LightningConfirm.open({
+            message: formatLabel(LABELS.runConfirm, this.logRetentionLabel),
+            variant: 'header',
+            theme: 'warning',
+            label: LABELS.runConfirmTitle
+        });
+        if (!confirmed) return;
+
+        await this.updateRetention(runRetentionNow, LABELS.retentionStarted, LABELS.retentionStartedMessage);
+    }
+
+    async handleScheduleRetention() {
+        await this.updateRetention(scheduleRetention, LABELS.retentionScheduled, LABELS.retentionScheduledMessage);
+    }
+
+    async handleUnscheduleRetention() {
+        await this.updateRetention(unscheduleRetention, LABELS.retentionUnscheduled, LABELS.retentionUnscheduledMessage);
+    }
+
+    async updateRetention(action, title, message) {
+        this.isRetentionBusy = true;
+        try {
+            this.retention = await action();
+            this.showToast(title, message, 'success');
+        } catch (error) {
+            console.error('Error updating retention:', error);
+            this.showToast(LABELS.retentionFailed, this.getErrorMessage(error), 'error');
+        } finally {
+            this.isRetentionBusy = false;
+        }
+    }
+
+    async handleReset() {
+        const confirmed = await LightningConfirm.open({
+            message: LABELS.resetConfirm,
+            variant: 'header',
+            theme: 'warning',
+            label: LABELS.resetConfirmTitle
+        });
+        if (!confirmed) return;
+
+        this.isResetting = true;
+        try {
+            await resetCounters();
+            this.showToast(LABELS.countersReset, LABELS.countersResetMessage, 'success');
+            await this.loadUsage();
+        } catch (error) {
+            console.error('Error resetting counters:', error);
+            this.showToast(LABELS.resetFailed, this.getErrorMessage(error), 'error');
+        } finally {
+            this.isResetting = false;
+        }
+    }
+
+    get hasUsage() {
+        return !!this.usage;
+    }
+
+    get counters() {
+        return (this.usage && this.usage.counters) || {};
+    }
+
+    get sinceResetLabel() {
+        const lastReset = this.counters.lastResetDate;
+        return formatLabel(LABELS.since, lastReset ? formatDateTime(lastReset) : LABELS.never);
+    }
+
+    get heartbeatsPerHour() {
+        return this.formatRate(this.usage && this.usage.heartbeatsPerHour);
+    }
+
+    get draftChecksPerHour() {
+        return this.formatRate(this.usage && this.usage.draftChecksPerHour);
+    }
+
+    get heartbeatFrequencyLabel() {
+        const seconds = this.usage && this.usage.heartbeatFrequencySeconds;
+        return seconds ? formatLabel(LABELS.every, formatDuration(seconds)) : '—';
+    }
+
+    get eventLimits() {
+        return ((this.usage && this.usage.eventLimits) || []).map(orgLimit => {
+            const percent = orgLimit.max ? Math.round((orgLimit.used / orgLimit.max) * 100) : 0;
+            return {
+                ...orgLimit,
+                label: LIMIT_LABELS[orgLimit.name] || orgLimit.name,
+                percent,
+                usedLabel: formatLabel(LABELS.limitUsage, formatNumber(orgLimit.used), formatNumber(orgLimit.max), percent),
+                // Turn the bar red when the allocation is nearly used up
+                barClass: percent >= 80 ? 'limit-bar limit-bar_warning' : 'limit-bar'
+            };
+        });
+    }
+
+    get hasEventLimits() {
+        return this.eventLimits.length > 0;
+    }
+
+    get topRecords() {
+        return ((this.usage && this.usage.topRecords) || []).map(record => ({
+            ...record,
+            recordName: record.recordName || record.recordId,
+            recordUrl: `/${record.recordId}`
+        }));
+    }
+
+    get hasTopRecords() {
+        return this.topRecords.length > 0;
+    }
+
+    get peakConcurrentViewers() {
+        return (this.usage && this.usage.peakConcurrentViewers) || 0;
+    }
+
+    get peakConcurrentAtLabel() {
+        const peakAt = this.usage && this.usage.peakConcurrentAt;
+        return peakAt ? formatDateTime(peakAt) : '';
+    }
+
+    get mostViewedLabel() {
+        return formatLabel(LABELS.mostViewed, (this.usage && this.usage.usageDays) || 7);
+    }
+
+    get hasDailyUsage() {
+        return this.dailyUsage.length > 0;
+    }
+
+    get usageByDayLabel() {
+        return formatLabel(LABELS.usageByDay, USAGE_SERIES_DAYS);
+    }
+
+    get hasRetention() {
+        return !!this.retention;
+    }
+
+    get isRetentionScheduled() {
+        return !!(this.retention && this.retention.isScheduled);
+    }
+
+    get logRetentionLabel() {
+        const days = this.retention && this.retention.logRetentionDays;
+        return this.formatDays(days);
+    }
+
+    get summaryRetentionLabel() {
+        if (!this.retention || !this.retention.summarizeBeforeDelete) {
+            return LABELS.summariesOff;
+        }
+        const days = this.retention.summaryRetentionDays;
+        return days ? formatLabel(LABELS.summariesKept, this.formatDays(days)) : LABELS.summariesForever;
+    }
+
+    get retentionScheduleLabel() {
+        if (!this.isRetentionScheduled) {
+            return LABELS.notScheduled;
+        }
+        const nextRun = this.retention.nextRunAt;
+        return nextRun ? formatLabel(LABELS.nextRun, formatDateTime(nextRun)) : LABELS.scheduled;
+    }
+
+    get retentionRuns() {
+        return ((this.retention && this.retention.runs) || []).map(run => ({
+            ...run,
+            startedLabel: formatDateTime(run.Started_At__c)
+        }));
+    }
+
+    get hasRetentionRuns() {
+        return this.retentionRuns.length > 0;
+    }
+
+    formatDays(days) {
+        return days === 1 ? LABELS.daysOne : formatLabel(LABELS.daysOther, formatNumber(days));
+    }
+
+    formatRate(rate) {
+        return rate != null ? formatLabel(LABELS.perHour, formatNumber(rate)) : '—';
+    }
+
+    getErrorMessage(error) {
+        return (error && error.body && error.body.message) || (error && error.message) || LABELS.unknownError;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant, mode: 'dismissable' }));
+    }
+}
@@ -0,0 +1,146 @@
+import dashboardTitle from '@salesforce/label/c.CasePresence_AdminDashboardTitle';
+import loading from '@salesforce/label/c.CasePresence_AdminLoading';
+import refresh from '@salesforce/label/c.CasePresence_Refresh';
+import resetCounters from '@salesforce/label/c.CasePresence_AdminResetCounters';
+import heartbeats from '@salesforce/label/c.CasePresence_AdminHeartbeats';
+import draftChecks from '@salesforce/label/c.CasePresence_AdminDraftChecks';
+import totalApiCalls from '@salesforce/label/c.CasePresence_AdminTotalApiCalls';
+import since from '@salesforce/label/c.CasePresence_AdminSince';
+import never from '@salesforce/label/c.CasePresence_AdminNever';
+import heartbeatFrequency from '@salesforce/label/c.CasePresence_AdminHeartbeatFrequency';
+import every from '@salesforce/label/c.CasePresence_AdminEvery';
+import perHour from '@salesforce/label/c.CasePresence_AdminPerHour';
+import eventAllocation from '@salesforce/label/c.CasePresence_AdminEventAllocation';
+import limitPublishedHourly from '@salesforce/label/c.CasePresence_AdminLimitPublishedHourly';
+import limitDeliveredDaily from '@salesforce/label/c.CasePresence_AdminLimitDeliveredDaily';
+import limitUsage from '@salesforce/label/c.CasePresence_AdminLimitUsage';
+import mostViewed from '@salesforce/label/c.CasePresence_AdminMostViewed';
+import peakConcurrent from '@salesforce/label/c.CasePresence_AdminPeakConcurrent';
+import noSessions from '@salesforce/label/c.CasePresence_AdminNoSessions';
+import columnRecord from '@salesforce/label/c.CasePresence_AdminColumnRecord';
+import columnObject from '@salesforce/label/c.CasePresence_AdminColumnObject';
+import columnViewers from '@salesforce/label/c.CasePresence_AdminColumnViewers';
+import columnVisits from '@salesforce/label/c.CasePresence_AdminColumnVisits';
+import columnPeakConcurrent from '@salesforce/label/c.CasePresence_AdminColumnPeakConcurrent';
+import resetConfirmTitle from '@salesforce/label/c.CasePresence_AdminResetConfirmTitle';
+import resetConfirm from '@salesforce/label/c.CasePresence_AdminResetConfirm';
+import countersReset from '@salesforce/label/c.CasePresence_AdminCountersReset';
+import countersResetMessage from '@salesforce/label/c.CasePresence_AdminCountersResetMessage';
+import resetFailed from '@salesforce/label/c.CasePresence_AdminResetFailed';
+import unknownError from '@salesforce/label/c.CasePresence_AdminUnknownError';
+import retentionTitle from '@salesforce/label/c.CasePresence_AdminRetentionTitle';
+import runNow from '@salesforce/label/c.CasePresence_AdminRunNow';
+import scheduleNightly from '@salesforce/label/c.CasePresence_AdminScheduleNightly';
+import unschedule from '@salesforce/label/c.CasePresence_AdminUnschedule';
+import presenceLogs from '@salesforce/label/c.CasePresence_AdminPresenceLogs';
+import dailySummaries from '@salesforce/label/c.CasePresence_AdminDailySummaries';
+import schedule from '@salesforce/label/c.CasePresence_AdminSchedule';
+import noRetentionRuns from '@salesforce/label/c.CasePresence_AdminNoRetentionRuns';
+import daysOne from '@salesforce/label/c.CasePresence_AdminDaysOne';
+import daysOther from '@salesforce/label/c.CasePresence_AdminDaysOther';
+import summariesOff from '@salesforce/label/c.CasePresence_AdminSummariesOff';
+import summariesKept from '@salesforce/label/c.CasePresence_AdminSummariesKept';
+import summariesForever from '@salesforce/label/c.CasePresence_AdminSummariesForever';
+import notScheduled from '@salesforce/label/c.CasePresence_AdminNotScheduled';
+import scheduled from '@salesforce/label/c.CasePresence_AdminScheduled';
+import nextRun from '@salesforce/label/c.CasePresence_AdminNextRun';
+import runConfirmTitle from '@salesforce/label/c.CasePresence_AdminRunConfirmTitle';
+import runConfirm from '@salesforce/label/c.CasePresence_AdminRunConfirm';
+import retentionUnavailable from '@salesforce/label/c.CasePresence_AdminRetentionUnavailable';
+import retentionStarted from '@salesforce/label/c.CasePresence_AdminRetentionStarted';
+import retentionStartedMessage from '@salesforce/label/c.CasePresence_AdminRetentionStartedMessage';
+import retentionScheduled from '@salesforce/label/c.CasePresence_AdminRetentionScheduled';
+import retentionScheduledMessage from '@salesforce/label/c.CasePresence_AdminRetentionScheduledMessage';
+import retentionUnscheduled from '@salesforce/label/c.CasePresence_AdminRetentionUnscheduled';
+import retentionUnscheduledMessage from '@salesforce/label/c.CasePresence_AdminRetentionUnscheduledMessage';
+import retentionFailed from '@salesforce/label/c.CasePresence_AdminRetentionFailed';
+import columnRun from '@salesforce/label/c.CasePresence_AdminColumnRun';
+import columnStarted from '@salesforce/label/c.CasePresence_AdminColumnStarted';
+import columnStatus from '@salesforce/label/c.CasePresence_AdminColumnStatus';
+import columnLogsDeleted from '@salesforce/label/c.CasePresence_AdminColumnLogsDeleted';
+import columnSummariesWritten from '@salesforce/label/c.CasePresence_AdminColumnSummariesWritten';
+import columnSummariesDeleted from '@salesforce/label/c.CasePresence_AdminColumnSummariesDeleted';
+import columnErrors from '@salesforce/label/c.CasePresence_AdminColumnErrors';
+import columnVisitsDeleted from '@salesforce/label/c.CasePresence_AdminColumnVisitsDeleted';
+import stateChanges from '@salesforce/label/c.CasePresence_AdminStateChanges';
+import claims from '@salesforce/label/c.CasePresence_AdminClaims';
+import droppedDuplicates from '@salesforce/label/c.CasePresence_AdminDroppedDuplicates';
+import usageByDay from '@salesforce/label/c.CasePresence_AdminUsageByDay';
+import columnDay from '@salesforce/label/c.CasePresence_AdminColumnDay';
+import columnTotal from '@salesforce/label/c.CasePresence_AdminColumnTotal';
+
+/**
+ * Custom labels used by casePresenceAdminDashboard (translated in force-app/main/default/translations)
+ */
+export default {
+    dashboardTitle,
+    loading,
+    refresh,
+    resetCounters,
+    heartbeats,
+    draftChecks,
+    totalApiCalls,
+    since,
+    never,
+    heartbeatFrequency,
+    every,
+    perHour,
+    eventAllocation,
+    limitPublishedHourly,
+    limitDeliveredDaily,
+    limitUsage,
+    mostViewed,
+    peakConcurrent,
+    noSessions,
+    columnRecord,
+    columnObject,
+    columnViewers,
+    columnVisits,
+    columnPeakConcurrent,
+    resetConfirmTitle,
+    resetConfirm,
+    countersReset,
+    countersResetMessage,
+    resetFailed,
+    unknownError,
+    retentionTitle,
+    runNow,
+    scheduleNightly,
+    unschedule,
+    presenceLogs,
+    dailySummaries,
+    schedule,
+    noRetentionRuns,
+    daysOne,
+    daysOther,
+    summariesOff,
+    summariesKept,
+    summariesForever,
+    notScheduled,
+    scheduled,
+    nextRun,
+    runConfirmTitle,
+    runConfirm,
+    retentionUnavailable,
+    retentionStarted,
+    retentionStartedMessage,
+    retentionScheduled,
+    retentionScheduledMessage,
+    retentionUnscheduled,
+    retentionUnscheduledMessage,
+    retentionFailed,
+    columnRun,
+    columnStarted,
+    columnStatus,
+    columnLogsDeleted,
+    columnSummariesWritten,
+    columnSummariesDeleted,
+    columnErrors,
+    columnVisitsDeleted,
+    stateChanges,
+    claims,
+    droppedDuplicates,
+    usageByDay,
+    columnDay,
+    columnTotal
+};
@@ -1,15 +1,130 @@
-import { LightningElement, api, track } from 'lwc';
-import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import PRESENCE_CHANNEL from '@salesforce/messageChannel/Case_Presence_Channel__c';
 import FORM_FACTOR from '@salesforce/client/formFactor';
 import publishPresence from '@salesforce/apex/CasePresencePublisher.publishPresence';
 import getSettings from '@salesforce/apex/CasePresencePublisher.getSettings';
+import getSettingsForRecord from '@salesforce/apex/CasePresencePublisher.getSettingsForRecord';
 import getCurrentUserInfo from '@salesforce/apex/CasePresencePublisher.getCurrentUserInfo';
+import updateClaim from '@salesforce/apex/CasePresencePublisher.updateClaim';
+import sendNudge from '@salesforce/apex/CasePresencePublisher.sendNudge';
+import getNudgeMessage from '@salesforce/apex/CasePresencePublisher.getNudgeMessage';
+import setInvisibleMode from '@salesforce/apex/CasePresencePublisher.setInvisibleMode';
+import saveUserPreferences from '@salesforce/apex/CasePresencePublisher.saveUserPreferences';
+import resetUserPreferences from '@salesforce/apex/CasePresencePublisher.resetUserPreferences';
 import getCasePresence from '@salesforce/apex/CasePresenceQuery.getCasePresence';
 import getAllDrafts from '@salesforce/apex/CasePresenceQuery.getAllDrafts';
-import getCaseInfo from '@salesforce/apex/CasePresenceQuery.getCaseInfo';
+import getRecordInfo from '@salesforce/apex/CasePresenceQuery.getRecordInfo';
+import getRecordChanges from '@salesforce/apex/CasePresenceQuery.getRecordChanges';
+import getRecentViewers from '@salesforce/apex/CasePresenceQuery.getRecentViewers';
+import {
+    register,
+    unregister,
+    retryWithBackoff,
+    getConnectionStatus,
+    reportPublishResult,
+    shareInvisibleMode
+} from 'c/presenceCoordinator';
+import {
+    IS_RTL,
+    formatLabel,
+    formatTime,
+    formatRelativeTime,
+    formatDuration,
+    formatList,
+    formatClockTime,
+    minutesOfDay,
+    capitalize,
+    formatObjectLabel
+} from 'c/presenceI18n';
+import LABELS from './labels';
 
-const CHANNEL_NAME = '/event/Case_Presence__e';
+// Higher wins when merging a user's sessions
+const STATE_PRIORITY = { active: 3, idle: 2, gone: 0 };
+
+// One-click messages for nudging a colleague and answering a nudge
+const NUDGE_PRESETS = [LABELS.nudgePreset1, LABELS.nudgePreset2, LABELS.nudgePreset3];
+const QUICK_REPLIES = [LABELS.quickReply1, LABELS.quickReply2, LABELS.quickReply3];
+
+// Connection health shown next to the presence bar
+const CONNECTION_LABELS = {
+    live: LABELS.connectionLive,
+    reconnecting: LABELS.connectionReconnecting,
+    offline: LABELS.connectionOffline,
+    degraded: LABELS.connectionDegraded
+};
+const CONNECTION_TOOLTIPS = {
+    live: LABELS.connectionLiveTooltip,
+    reconnecting: LABELS.connectionReconnectingTooltip,
+    offline: LABELS.connectionOfflineTooltip,
+    publishFailing: LABELS.connectionPublishFailingTooltip,
+    noEvents: LABELS.connectionNoEventsTooltip
+};
+
+// Screen reader announcements of joins, leaves and edit starts: everything, edits only or nothing.
+// The user's choice is kept in this browser
+const ANNOUNCEMENT_LEVELS = ['all', 'edits', 'off'];
+const ANNOUNCEMENT_KEY = 'casePresenceAnnouncements';
+// Changes arriving within this window are read out as one announcement
+const ANNOUNCE_DELAY_MS = 500;
+
+// Join/leave/edit toasts: the first of a burst shows right away, the rest are held this long
+// and shown as one digest toast
+const DIGEST_WINDOW_MS = 4000;
+const MAX_DIGEST_LINES = 4;
+// Desktop alerts, kept in this browser since they need its permission (muted people and quiet
+// hours are saved with the preferences)
+const NOTIFICATION_PREFS_KEY = 'casePresenceNotifications';
+
+// The user's own settings from the gear menu, stored in Salesforce and applied on top of the admin settings
+const TOAST_PREFERENCES = [
+    { key: 'showJoinToasts', label: LABELS.toastJoin },
+    { key: 'showLeaveToasts', label: LABELS.toastLeave },
+    { key: 'showEditStartToasts', label: LABELS.toastEditStart },
+    { key: 'showEditStopToasts', label: LABELS.toastEditStop },
+    { key: 'playSounds', label: LABELS.playSounds }
+];
+const DISPLAY_PREFERENCES = [
+    { key: 'compactDisplay', label: LABELS.compactDisplay },
+    { key: 'showIdleUsers', label: LABELS.showIdleUsers }
+];
+const PREFERENCE_KEYS = [...TOAST_PREFERENCES, ...DISPLAY_PREFERENCES].map(preference => preference.key);
+
+function readNotificationPrefs() {
+    try {
+        const prefs = JSON.parse(window.localStorage.getItem(NOTIFICATION_PREFS_KEY) || '{}') || {};
+        return { browserAlerts: prefs.browserAlerts === true };
+    } catch (error) {
+        return { browserAlerts: false };
+    }
+}
+
+// "HH:MM" -> minutes since midnight
+function toMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function readAnnouncementLevel() {
+    try {
+        const level = window.localStorage.getItem(ANNOUNCEMENT_KEY);
+        return ANNOUNCEMENT_LEVELS.includes(level) ? level : 'all';
+    } catch (error) {
+        return 'all';
+    }
+}
+
+function generateSessionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
 
 export default class CasePresenceIndicator extends LightningElement {
     _recordId;
@@ -26,27 +141,107 @@ export default class CasePresenceIndicator extends LightningElement {
         }
     }
 
+    // Provided by the record page; resolved from the record id when missing
+    @api objectApiName;
     @api ignoreVisibility = false;
+    @api enableClaims = true;
+    @api showRecentViewers = true;
+    // App Builder overrides of the layered settings; blank uses Case Presence Settings
+    @api heartbeatFrequencySeconds;
+    @api presenceExpirationMinutes;
     
     previousRecordId = null;
     
     @track visibleUsers = [];
-    @track caseNumber = '';
-    @track caseSubject = '';
+    // "+X more" popover listing every viewer
+    isOverflowOpen = false;
+    focusOverflowOnRender = false;
+    // Roving tabindex: the avatar that is in the tab order (arrow keys move it)
+    focusedAvatarId = null;
+    // Text of the aria-live region and what the user wants announced
+    liveMessage = '';
+    announcementLevel = readAnnouncementLevel();
+    pendingAnnouncements = [];
+    announceTimeout = null;
+    // Desktop alerts (re-read from the browser before notifying)
+    notificationPrefs = readNotificationPrefs();
+    pendingToasts = [];
+    digestTimeout = null;
+    isQuietHoursEditorOpen = false;
+    quietStartDraft = null;
+    quietEndDraft = null;
+    isPreferencesPending = false;
+    // Created on the first sound, after the user has interacted with the page
+    audioContext = null;
+    // People who viewed the record in the last 24h and left (from the session history)
+    @track recentViewers = [];
+    
+    // Per-user session state: userId -> { sessionId -> { state, lastSeen, hasDraft, draftType, isMobile, claimedAt, claimExpiresAt } }
+    userSessions = {};
+    @track recordName = '';
+    recordObjectApiName;
+    // Object label as it reads mid-sentence, e.g. "this case" / "this account"
+    recordLabel = LABELS.recordFallback;
     
     currentUserId;
     currentUserName;
+    isSupervisor = false;
+    // Invisible mode: nothing is published (the server enforces it too)
+    canGoInvisible = false;
+    isInvisible = false;
+    isInvisiblePending = false;
+    // Why presence couldn't be loaded (no access to the record or to presence data), shown instead of the bar
+    presenceError = null;
+    // Unique per tab so closing one tab doesn't end presence in the others
+    sessionId = generateSessionId();
     currentState = null;
     lastPublishedDraftStatus = false;
+    // Delta-only publishing: what this tab last told other viewers, and when
+    lastPublishedSignature = null;
+    lastPublishedAt = 0;
     hasDrafts = false;
+    // Type of my own server-side draft (email, call, task...)
+    myDraftType = null;
+    
+    // Lightning Message Service: snapshots out, editing signals from other page components in
+    @wire(MessageContext) messageContext;
+    messageSubscription = null;
+    // source -> { field, draftType, at } for components reporting unsaved edits
+    externalEdits = {};
+    lastSnapshotJson = null;
+    
+    // Conflict detection: changes by others while I have an unsent draft
+    @track conflicts = [];
+    // Server time conflict checks start from; null until the first check of a draft
+    conflictsSince = null;
     isActive = true;
     
+    // Soft claim ("I'm working this") held by this tab
+    myClaimExpiresAt = null;
+    isClaimPending = false;
+    
+    // Nudges: received messages stay until dismissed or answered
+    @track nudges = [];
+    // NudgeId__c values whose message is being loaded
+    pendingNudgeIds = new Set();
+    // { userId, userName, replyToId } while the composer is open
+    nudgeTarget = null;
+    nudgeText = '';
+    isNudgeSending = false;
+    nudgePresets = NUDGE_PRESETS;
+    quickReplies = QUICK_REPLIES;
+    labels = LABELS;
+    
+    // Connection health from the coordinator: live, reconnecting, offline or degraded
+    connectionStatus = 'live';
+    connectionReason = null;
+    showOnlyYouRow = false;
+    
     // Mobile Detection
     isMobileDevice = FORM_FACTOR === 'Small' || FORM_FACTOR === 'Medium';
     
     settings;
     debugLogging = false;
-    subscription;
     isComponentActive = false;
     
     // Visibility Tracking
@@ -55,6 +250,11 @@ export default class CasePresenceIndicator extends LightningElement {
     
     // Computed intervals from settings
     heartbeatInterval;
+    maxHeartbeatMs;
+    maxDraftCheckMs;
+    // Current back-off: doubled while nothing changes, reset by a change
+    keepaliveMs;
+    draftCheckDelayMs;
     presenceExpirationMs;
     draftStalenessMs;
     draftCheckFrequencyMs;
@@ -63,19 +263,14 @@ export default class CasePresenceIndicator extends LightningElement {
     // Mobile grace period (60 seconds)
     MOBILE_GRACE_PERIOD_MS = 60000;
     
-    // Parsed settings (computed once, not on every render)
-    parsedVipUsers = [];
-    parsedKeyUsers = [];
-    parsedNormalUsers = [];
-    vipBadge = '👑';
-    keyBadge = '⭐';
-    normalBadge = '👤';
+    // Badge tier definitions by DeveloperName; membership is resolved server-side
+    badgeTiers = {};
     
     // Intervals
-    draftCheckInterval = null;
+    draftCheckTimer = null;
+    // Draft checks since the last heartbeat, reported on it for the usage counters
+    pendingDraftChecks = 0;
     expirationCheckInterval = null;
-    heartbeatInterval_timer = null;
-    visibilityPollInterval = null;
     
     // Handlers
     visibilityChangeHandler = null;
@@ -88,8 +283,9 @@ export default class CasePresenceIndicator extends LightningElement {
         
         try {
             // Load settings
-            this.settings = await getSettings();
+            this.settings = this.applyComponentOverrides(await this.loadSettings());
             this.debugLogging = this.settings?.enableDebugLogging || false;
+            this.log('⚙️ Settings resolved from', () => ({ ...(this.settings?.settingsSources || {}) }));
             
             // Compute intervals from settings
             this.heartbeatInterval = ((this.settings?.heartbeatFrequencySeconds || 240) * 1000);
@@ -97,14 +293,20 @@ export default class CasePresenceIndicator extends LightningElement {
             this.draftStalenessMs = ((this.settings?.draftStalenessMinutes || 5) * 60 * 1000);
             this.draftCheckFrequencyMs = ((this.settings?.draftCheckIntervalSeconds || 10) * 1000);
             this.expirationCheckFrequencyMs = ((this.settings?.expirationCheckIntervalSeconds || 10) * 1000);
+            // Keepalives must keep arriving well before other viewers expire this tab
+            this.maxHeartbeatMs = Math.max(
+                this.heartbeatInterval,
+                Math.min((this.settings?.maxHeartbeatSeconds || 240) * 1000, this.presenceExpirationMs / 2)
+            );
+            this.maxDraftCheckMs = Math.max(
+                this.draftCheckFrequencyMs,
+                (this.settings?.maxDraftCheckIntervalSeconds || 60) * 1000
+            );
+            this.keepaliveMs = this.heartbeatInterval;
+            this.draftCheckDelayMs = this.draftCheckFrequencyMs;
             
-            // Parse user badge settings once
-            this.parsedVipUsers = this.settings?.vipUsers?.toLowerCase().split(',').map(u => u.trim()) || [];
-            this.parsedKeyUsers = this.settings?.keyUsers?.toLowerCase().split(',').map(u => u.trim()) || [];
-            this.parsedNormalUsers = this.settings?.normalUsers?.toLowerCase().split(',').map(u => u.trim()) || [];
-            this.vipBadge = this.settings?.vipBadge || '👑';
-            this.keyBadge = this.settings?.keyBadge || '⭐';
-            this.normalBadge = this.settings?.normalBadge || '👤';
+            this.badgeTiers = this.settings?.badgeTiers || {};
+            this.showOnlyYouRow = this.settings?.showOnlyYouRow || false;
             
             this.log('🚀 Component initialized', () => ({ 
                 recordId: this.recordId,
@@ -116,37 +318,75 @@ export default class CasePresenceIndicator extends LightningElement {
             const userInfo = await getCurrentUserInfo();
             this.currentUserId = userInfo.userId;
             this.currentUserName = userInfo.userName;
+            this.isSupervisor = userInfo.isSupervisor || false;
+            this.canGoInvisible = userInfo.canGoInvisible || false;
+            this.isInvisible = userInfo.isInvisible || false;
             
             // Load initial presence data
             if (this.recordId) {
                 await this.loadInitialPresence();
             }
             
-            // Subscribe to Platform Events
-            await this.subscribeToPlatformEvents();
-            
             // Initial visibility check
             this.checkVisibility();
             
+            // Platform Events, heartbeats and the visibility poll are shared
+            // by every indicator in the browser through the coordinator
+            this.joinCoordinator();
+            this.subscribeToMessageChannel();
+            
             // Start periodic tasks
-            this.startHeartbeat(); 
             this.startExpirationFilter();
             this.startVisibilityMonitoring();
             this.setupBeforeUnload();
             
-            // Start Visibility Poller (Safety net for iframe focus issues, e.g. Email Composer)
-            // If focus is inside an iframe (like CKEditor), the 'blur' event might not bubble to us.
-            // This polling ensures we catch the loss of focus when the user Alt-Tabs.
-            this.visibilityPollInterval = setInterval(() => {
-                this.checkVisibility();
-            }, 2000);
-            
         } catch (error) {
             console.error('Error initializing component:', error);
         }
     }
 
+    /**
+     * Settings layered for this record (record type / queue, then profile / permission set, then Default).
+     * Without a record, or if the record can't be read, the user layers alone.
+     */
+    async loadSettings() {
+        if (this.recordId) {
+            try {
+                return await getSettingsForRecord({ recordId: this.recordId });
+            } catch (error) {
+                console.error('Error loading record settings:', error);
+            }
+        }
+        return getSettings();
+    }
+
+    /**
+     * Component properties set in App Builder are the top layer
+     */
+    applyComponentOverrides(settings) {
+        const result = { ...settings, settingsSources: { ...(settings?.settingsSources || {}) } };
+        const overrides = {
+            heartbeatFrequencySeconds: this.heartbeatFrequencySeconds,
+            presenceExpirationMinutes: this.presenceExpirationMinutes
+        };
+        Object.entries(overrides).forEach(([key, value]) => {
+            const number = Number(value);
+            if (value === null || value === undefined || value === '' || !Number.isInteger(number) || number <= 0) return;
+            result[key] = number;
+            result.settingsSources[key] = 'component property';
+        });
+        return result;
+    }
+
     renderedCallback() {
+        if (this.focusOverflowOnRender) {
+            const popover = this.template.querySelector('.overflow-popover');
+            if (popover) {
+                this.focusOverflowOnRender = false;
+                popover.focus();
+            }
+        }
+
         if (this.observer) return;
 
         const options = {
@@ -178,130 +418,389 @@ export default class CasePresenceIndicator extends LightningElement {
         if (!this.isComponentActive || !this.recordId) return;
         
         try {
-            this.log('📥 Loading initial presence for case:', this.recordId);
+            this.log('📥 Loading initial presence for record:', this.recordId);
             
-            const [caseInfo, presence, drafts] = await Promise.all([
-                getCaseInfo({ caseId: this.recordId }),
-                getCasePresence({ caseId: this.recordId }),
-                getAllDrafts({ caseId: this.recordId })
+            const [recordInfo, presence, drafts] = await Promise.all([
+                getRecordInfo({ recordId: this.recordId }),
+                getCasePresence({ recordId: this.recordId }),
+                getAllDrafts({ recordId: this.recordId })
             ]);
 
             if (!this.isComponentActive) return;
             
-            if (caseInfo) {
-                this.caseNumber = caseInfo.caseNumber;
-                this.caseSubject = caseInfo.caseSubject;
+            this.presenceError = null;
+            if (recordInfo) {
+                this.recordName = recordInfo.recordName;
+                this.recordObjectApiName = this.objectApiName || recordInfo.objectApiName;
+                this.recordLabel = formatObjectLabel(recordInfo.objectLabel) || LABELS.recordFallback;
             }
             
             if (this.isComponentActive) {
-                this.visibleUsers = presence;
-                this.hasDrafts = drafts.some(d => d.userId === this.currentUserId);
+                this.applyServerPresence(presence);
+                const myDraft = drafts.find(d => d.userId === this.currentUserId);
+                this.hasDrafts = !!myDraft;
+                this.myDraftType = myDraft ? myDraft.draftType : null;
+                this.conflictsSince = null;
+                this.publishSnapshot();
             }
             
+            this.loadRecentViewers();
+            
         } catch (error) {
             if (this.isComponentActive) {
                 console.error('Error loading initial presence:', error);
+                this.presenceError = error?.body?.message || error?.message || LABELS.presenceLoadFailed;
             }
         }
     }
 
-    async subscribeToPlatformEvents() {
-        const messageCallback = (response) => {
-            const payload = response.data.payload;
-            this.handlePresenceEvent(payload);
-        };
+    /**
+     * Replace who's here with the server's view (getCasePresence)
+     */
+    applyServerPresence(presence) {
+        this.userSessions = {};
+        this.visibleUsers = presence.map(user => {
+            const sessions = {};
+            (user.sessions || [user]).forEach(session => {
+                const key = session.sessionId || user.userId;
+                sessions[key] = {
+                    state: session.state,
+                    lastSeen: session.lastSeen,
+                    hasDraft: session.hasDraft || false,
+                    draftType: session.draftType || null,
+                    isMobile: session.isMobile || false,
+                    claimedAt: session.claimedAt || null,
+                    claimExpiresAt: session.claimExpiresAt || null
+                };
+            });
+            this.userSessions[user.userId] = sessions;
+            return this.mergeUserSessions(user, sessions);
+        });
+    }
+
+    /**
+     * The coordinator reconnected to empApi after a drop: events may have been missed,
+     * so reload who's here, and re-announce this tab on the next keepalive in case
+     * its own publishes failed meanwhile
+     */
+    async resyncPresence() {
+        if (!this.isComponentActive || !this.recordId) return;
+
+        this.log('🔄 Resyncing presence after reconnect');
+        this.lastPublishedAt = 0;
+        try {
+            const presence = await getCasePresence({ recordId: this.recordId });
+            if (!this.isComponentActive) return;
+
+            this.presenceError = null;
+            this.applyServerPresence(presence);
+            this.publishSnapshot();
+        } catch (error) {
+            if (this.isComponentActive) {
+                console.error('Error resyncing presence:', error);
+            }
+        }
+    }
+
+    async loadRecentViewers() {
+        if (!this.showRecentViewers || !this.recordId || !this.isComponentActive) return;
 
         try {
-            const response = await subscribe(CHANNEL_NAME, -1, messageCallback);
-            this.subscription = response;
+            const viewers = await getRecentViewers({ recordId: this.recordId });
+            if (this.isComponentActive) {
+                this.recentViewers = viewers || [];
+            }
         } catch (error) {
-            console.error('Error subscribing to Platform Events:', error);
+            if (this.isComponentActive) {
+                console.error('Error loading recent viewers:', error);
+            }
         }
+    }
 
-        onError(error => {
-            console.error('EMP API Error:', error);
+    /**
+     * Move someone who just left to the top of "Recently viewed by".
+     * Their time totals arrive with the next history load.
+     */
+    addRecentViewer(user) {
+        if (!this.showRecentViewers) return;
+
+        const previous = this.recentViewers.find(viewer => viewer.userId === user.userId);
+        this.recentViewers = [
+            {
+                ...(previous || {}),
+                userId: user.userId,
+                userName: user.userName,
+                userPhotoUrl: user.userPhotoUrl,
+                lastSeen: new Date().toISOString(),
+                hadDraft: (previous && previous.hadDraft) || user.hasDraft,
+                isMobile: user.isMobile
+            },
+            ...this.recentViewers.filter(viewer => viewer.userId !== user.userId)
+        ];
+    }
+
+    joinCoordinator() {
+        register(this.sessionId, {
+            onEvent: payload => this.handlePresenceEvent(payload),
+            onNudge: payload => this.handleNudge(payload),
+            onResync: () => this.resyncPresence(),
+            onConnectionChange: status => this.handleConnectionChange(status),
+            onInvisibleModeChange: invisible => this.applyInvisibleMode(invisible),
+            // Catches loss of focus when it happens inside an iframe (e.g. Email Composer)
+            onVisibilityPoll: () => this.checkVisibility(),
+            // Only send keepalives while ACTIVE, and only once they are due
+            getHeartbeat: () => (this.isActive && this.recordId ? this.buildKeepalive() : null),
+            heartbeatMs: this.heartbeatInterval,
+            // Our own presence should come back as an event well before this
+            presenceExpirationMs: this.presenceExpirationMs,
+            debugLogging: this.debugLogging
         });
+        this.handleConnectionChange(getConnectionStatus());
+    }
+
+    handleConnectionChange({ status, reason }) {
+        if (!this.isComponentActive) return;
+        this.log('📶 Connection:', status, reason || '');
+        this.connectionStatus = status;
+        this.connectionReason = reason;
+    }
+
+    /**
+     * Called on every coordinator tick. Nothing is sent until the current keepalive interval
+     * has passed since this tab last published; every unchanged keepalive then doubles the
+     * interval, up to maxHeartbeatMs. The first tick after joining announces the tab.
+     */
+    buildKeepalive() {
+        const now = Date.now();
+        if (this.isInvisible || now - this.lastPublishedAt < this.keepaliveMs) return null;
+
+        const params = this.buildPresenceParams('active');
+        this.lastPublishedSignature = this.presenceSignature(params);
+        this.lastPublishedAt = now;
+        this.keepaliveMs = Math.min(this.keepaliveMs * 2, this.maxHeartbeatMs);
+        this.log(`💓 Keepalive, next in ${Math.round(this.keepaliveMs / 1000)}s`);
+
+        const draftChecks = this.pendingDraftChecks;
+        this.pendingDraftChecks = 0;
+        // Lets the server keep its duplicate window within this tab's expiration
+        const presenceExpirationMinutes = Math.round(this.presenceExpirationMs / 60000);
+        return { ...params, draftChecks, presenceExpirationMinutes };
+    }
+
+    /**
+     * What other viewers see of this tab; publishing the same signature again is redundant
+     */
+    presenceSignature(params) {
+        return [params.state, params.hasDraft, params.draftType, params.isMobile].join('|');
     }
 
     handlePresenceEvent(payload) {
         if (payload.UserId__c === this.currentUserId) return;
-        if (payload.CaseId__c !== this.recordId) return;
+        // Events from older clients only carry CaseId__c
+        if ((payload.RecordId__c || payload.CaseId__c) !== this.recordId) return;
 
-        const existingUserIndex = this.visibleUsers.findIndex(
-            u => u.userId === payload.UserId__c
-        );
+        const userId = payload.UserId__c;
+        // Events from components without session tracking fall back to one session per user
+        const sessionKey = payload.SessionId__c || userId;
+        const existingUser = this.visibleUsers.find(u => u.userId === userId);
+        const sessions = { ...(this.userSessions[userId] || {}) };
+
+        if (payload.ClaimAction__c === 'override') {
+            this.clearOtherClaims(userId, payload.UserName__c);
+        }
 
-        if (payload.State__c === 'gone') {
-            // Mobile Specific Logic: Ignore 'gone' for 60 seconds
-            if (payload.IsMobile__c) {
+        if (payload.State__c === 'gone' && !payload.IsMobile__c) {
+            delete sessions[sessionKey];
+        } else {
+            // Mobile Specific Logic: keep a 'gone' session for 60 seconds (grace period)
+            if (payload.State__c === 'gone') {
                 this.log('📱 Mobile user sent GONE - applying grace period', payload.UserName__c);
-                const user = {
-                    userId: payload.UserId__c,
-                    userName: payload.UserName__c,
-                    userPhotoUrl: payload.UserPhotoUrl__c,
-                    state: 'gone',
-                    lastSeen: new Date(payload.Timestamp__c),
-                    hasDraft: payload.HasDraft__c || false,
-                    isMobile: true
-                };
+            }
+            sessions[sessionKey] = {
+                state: payload.State__c,
+                lastSeen: new Date(payload.Timestamp__c),
+                hasDraft: payload.HasDraft__c || false,
+                draftType: payload.DraftType__c || null,
+                isMobile: payload.IsMobile__c || false,
+                ...this.getSessionClaim(payload, sessions[sessionKey])
+            };
+        }
+
+        const profile = {
+            userId: userId,
+            userName: payload.UserName__c,
+            userPhotoUrl: payload.UserPhotoUrl__c,
+            badgeTier: payload.BadgeTier__c
+        };
+        const user = this.applyUserSessions(profile, sessions);
+        // Another tab or component may have changed the preferences
+        this.notificationPrefs = readNotificationPrefs();
+        const muted = this.isMuted(userId);
+        const showToasts = document.visibilityState === 'visible' && !muted;
+        // A record open in the background gets a desktop alert instead of a toast, if the user opted in
+        const alertInBackground = !this.isActive && !muted && this.canShowBrowserAlerts();
+        // Only the record the user is on speaks, not every console subtab
+        const announceEdits = this.isActive && !muted && this.announcementLevel !== 'off';
+        const announceJoins = announceEdits && this.announcementLevel === 'all';
+
+        if (!user) {
+            // Last session ended
+            if (existingUser) {
+                this.addRecentViewer(existingUser);
+            }
+            if (existingUser && showToasts && this.settings?.showLeaveToasts) {
+                this.showLeaveToast(existingUser.userName);
+            }
+            if (existingUser && announceJoins) {
+                this.announce(formatLabel(LABELS.userLeftMessage, existingUser.userName, this.recordLabel));
+            }
+        } else if (existingUser) {
+            const hadDraft = existingUser.hasDraft || false;
+            const nowHasDraft = user.hasDraft;
 
-                if (existingUserIndex !== -1) {
-                    this.visibleUsers = [
-                        ...this.visibleUsers.slice(0, existingUserIndex),
-                        user,
-                        ...this.visibleUsers.slice(existingUserIndex + 1)
-                    ];
-                } else {
-                    // New mobile user but already leaving - still add for 60s grace period
-                    this.visibleUsers = [...this.visibleUsers, user];
+            if (!hadDraft && nowHasDraft && alertInBackground) {
+                this.showBrowserAlert(user);
+            } else if (showToasts) {
+                if (!hadDraft && nowHasDraft && this.settings?.showEditStartToasts) {
+                    this.showEditingToast(user.userName, user.draftType);
+                } else if (hadDraft && !nowHasDraft && this.settings?.showEditStopToasts) {
+                    this.showStoppedEditingToast(user.userName);
                 }
-                return;
             }
+            if (!hadDraft && nowHasDraft && announceEdits) {
+                this.announce(formatLabel(
+                    LABELS.startedEditingMessage, user.userName, this.getActivityLabel(user.draftType), this.recordLabel
+                ));
+            }
+        } else if (user.state !== 'gone') {
+            if (showToasts && this.settings?.showJoinToasts) {
+                this.showJoinToast(user.userName);
+            }
+            if (announceJoins) {
+                this.announce(formatLabel(LABELS.userJoinedMessage, user.userName, this.recordLabel));
+            }
+        }
+    }
+
+    /**
+     * Claim carried by a session after an event: heartbeats keep the previous claim,
+     * claim events replace it, releases and 'gone' drop it.
+     */
+    getSessionClaim(payload, previousSession) {
+        if (payload.ClaimAction__c === 'release' || payload.State__c === 'gone') {
+            return { claimedAt: null, claimExpiresAt: null };
+        }
+        if (payload.ClaimAction__c === 'claim' || payload.ClaimAction__c === 'override') {
+            return { claimedAt: new Date(payload.Timestamp__c), claimExpiresAt: payload.ClaimExpiresAt__c };
+        }
+        return {
+            claimedAt: previousSession ? previousSession.claimedAt : null,
+            claimExpiresAt: previousSession ? previousSession.claimExpiresAt : null
+        };
+    }
 
-            // Normal user or non-grace period logic
+    /**
+     * A supervisor took over: everyone else's claim (mine included) is dropped
+     */
+    clearOtherClaims(claimantId, claimantName) {
+        if (this.myClaimExpiresAt) {
+            this.myClaimExpiresAt = null;
+            this.showClaimOverriddenToast(claimantName);
+        }
+
+        this.visibleUsers.forEach(user => {
+            if (user.userId === claimantId || !user.claimExpiresAt) return;
+            const sessions = {};
+            Object.entries(this.userSessions[user.userId] || {}).forEach(([key, session]) => {
+                sessions[key] = { ...session, claimedAt: null, claimExpiresAt: null };
+            });
+            this.applyUserSessions(user, sessions);
+        });
+    }
+
+    /**
+     * Store a user's sessions and refresh their merged entry in visibleUsers.
+     * Returns the merged user, or null if no sessions remain (user removed).
+     */
+    applyUserSessions(profile, sessions) {
+        const userId = profile.userId;
+        const existingUserIndex = this.visibleUsers.findIndex(u => u.userId === userId);
+
+        if (Object.keys(sessions).length === 0) {
+            delete this.userSessions[userId];
             if (existingUserIndex !== -1) {
-                const user = this.visibleUsers[existingUserIndex];
-                if (document.visibilityState === 'visible' && this.settings?.showLeaveToasts) {
-                    this.showLeaveToast(user.userName);
-                }
                 this.visibleUsers = this.visibleUsers.filter((_, i) => i !== existingUserIndex);
             }
+            this.publishSnapshot();
+            return null;
+        }
+
+        this.userSessions[userId] = sessions;
+        const existingUser = existingUserIndex !== -1 ? this.visibleUsers[existingUserIndex] : {};
+        const user = this.mergeUserSessions({
+            userId: userId,
+            userName: profile.userName || existingUser.userName,
+            userPhotoUrl: profile.userPhotoUrl || existingUser.userPhotoUrl,
+            // Events from older clients don't carry a tier
+            badgeTier: profile.badgeTier !== undefined ? profile.badgeTier : existingUser.badgeTier
+        }, sessions);
+
+        if (existingUserIndex !== -1) {
+            this.visibleUsers = [
+                ...this.visibleUsers.slice(0, existingUserIndex),
+                user,
+                ...this.visibleUsers.slice(existingUserIndex + 1)
+            ];
         } else {
-            const user = {
-                userId: payload.UserId__c,
-                userName: payload.UserName__c,
-                userPhotoUrl: payload.UserPhotoUrl__c,
-                state: payload.State__c,
-                lastSeen: new Date(payload.Timestamp__c),
-                hasDraft: payload.HasDraft__c || false,
-                isMobile: payload.IsMobile__c || false
-            };
+            this.visibleUsers = [...this.visibleUsers, user];
+        }
+        this.publishSnapshot();
+        return user;
+    }
 
-            if (existingUserIndex !== -1) {
-                const existingUser = this.visibleUsers[existingUserIndex];
-                const hadDraft = existingUser.hasDraft || false;
-                const nowHasDraft = payload.HasDraft__c || false;
-                
-                this.visibleUsers = [
-                    ...this.visibleUsers.slice(0, existingUserIndex),
-                    user,
-                    ...this.visibleUsers.slice(existingUserIndex + 1)
-                ];
-                
-                if (document.visibilityState === 'visible') {
-                    if (!hadDraft && nowHasDraft && this.settings?.showEditStartToasts) {
-                        this.showEditingToast(user.userName);
-                    } else if (hadDraft && !nowHasDraft && this.settings?.showEditStopToasts) {
-                        this.showStoppedEditingToast(user.userName);
-                    }
-                }
-            } else {
-                this.visibleUsers = [...this.visibleUsers, user];
-                if (document.visibilityState === 'visible' && this.settings?.showJoinToasts) {
-                    this.showJoinToast(user.userName);
-                }
+    /**
+     * Merge a user's sessions: most active state wins (ties go to the most recent),
+     * draft if any session has one (typed by the most recent drafting session),
+     * claim if any session holds an unexpired one.
+     */
+    mergeUserSessions(profile, sessions) {
+        let winner = null;
+        let lastSeen = null;
+        let latestDraft = null;
+        let claim = null;
+        const now = Date.now();
+
+        Object.values(sessions).forEach(session => {
+            const seen = new Date(session.lastSeen);
+            if (session.hasDraft && (!latestDraft || seen > new Date(latestDraft.lastSeen))) latestDraft = session;
+            if (!lastSeen || seen > lastSeen) lastSeen = seen;
+
+            const expiresAt = session.claimExpiresAt ? new Date(session.claimExpiresAt).getTime() : 0;
+            if (expiresAt > now && (!claim || expiresAt > new Date(claim.claimExpiresAt).getTime())) {
+                claim = session;
             }
-        }
+
+            const priority = STATE_PRIORITY[session.state] ?? 1;
+            const winnerPriority = winner ? (STATE_PRIORITY[winner.state] ?? 1) : -1;
+            if (priority > winnerPriority || (priority === winnerPriority && seen > new Date(winner.lastSeen))) {
+                winner = session;
+            }
+        });
+
+        return {
+            userId: profile.userId,
+            userName: profile.userName,
+            userPhotoUrl: profile.userPhotoUrl,
+            badgeTier: profile.badgeTier || null,
+            state: winner ? winner.state : 'gone',
+            lastSeen: lastSeen,
+            hasDraft: !!latestDraft,
+            draftType: latestDraft ? latestDraft.draftType : null,
+            isMobile: winner ? winner.isMobile : false,
+            claimedAt: claim ? claim.claimedAt : null,
+            claimExpiresAt: claim ? claim.claimExpiresAt : null,
+            sessionCount: Object.keys(sessions).length
+        };
     }
 
     checkVisibility() {
@@ -369,291 +868,1476 @@ export default class CasePresenceIndicator extends LightningElement {
     }
 
     startDraftChecking() {
-        if (this.draftCheckInterval) clearInterval(this.draftCheckInterval);
+        this.stopDraftChecking();
+        this.draftCheckDelayMs = this.draftCheckFrequencyMs;
 
         this.checkDrafts();
-        this.draftCheckInterval = setInterval(() => {
-            if (!this.isActive) return;
-            this.checkDrafts();
-        }, this.draftCheckFrequencyMs);
+        this.scheduleDraftCheck();
     }
 
     stopDraftChecking() {
-        if (this.draftCheckInterval) {
-            clearInterval(this.draftCheckInterval);
-            this.draftCheckInterval = null;
+        if (this.draftCheckTimer) {
+            clearTimeout(this.draftCheckTimer);
+            this.draftCheckTimer = null;
         }
     }
 
+    /**
+     * Draft checks run on a timeout chain so the delay can change: it doubles after every
+     * check that found nothing new (up to maxDraftCheckMs) and stays at the base interval
+     * while I'm editing, so conflicts are still noticed quickly
+     */
+    scheduleDraftCheck() {
+        const timer = setTimeout(async () => {
+            if (!this.isActive || this.draftCheckTimer !== timer) return;
+
+            const changed = await this.checkDrafts();
+            this.draftCheckDelayMs = changed || this.isEditing
+                ? this.draftCheckFrequencyMs
+                : Math.min(this.draftCheckDelayMs * 2, this.maxDraftCheckMs);
+
+            // Stopped or restarted while the check was running
+            if (this.draftCheckTimer === timer && this.isActive) {
+                this.scheduleDraftCheck();
+            }
+        }, this.draftCheckDelayMs);
+        this.draftCheckTimer = timer;
+    }
+
+    /**
+     * Another component reported activity: check drafts at the base interval again
+     */
+    resetDraftCheckBackoff() {
+        if (!this.draftCheckTimer || this.draftCheckDelayMs === this.draftCheckFrequencyMs) return;
+        this.stopDraftChecking();
+        this.draftCheckDelayMs = this.draftCheckFrequencyMs;
+        this.scheduleDraftCheck();
+    }
+
+    /**
+     * @returns {Promise<boolean>} whether my draft status or type changed
+     */
     async checkDrafts() {
-        if (!this.recordId || !this.isComponentActive) return;
+        if (!this.recordId || !this.isComponentActive) return false;
 
         try {
-            const drafts = await getAllDrafts({ caseId: this.recordId });
-            if (!this.isComponentActive) return;
+            const drafts = await getAllDrafts({ recordId: this.recordId });
+            this.pendingDraftChecks++;
+            if (!this.isComponentActive) return Promise.resolve(false);
             
             this.log('Drafts found:', drafts);
 
-            const hasMyDrafts = drafts.some(d => d.userId === this.currentUserId);
-            this.log('Has my drafts?', hasMyDrafts, 'Current User:', this.currentUserId);
+            const myDraft = drafts.find(d => d.userId === this.currentUserId);
+            this.log('Has my drafts?', !!myDraft, 'Current User:', this.currentUserId);
 
-            const oldHasDrafts = this.hasDrafts;
-            this.hasDrafts = hasMyDrafts;
+            const wasEditing = this.isEditing;
+            const previousDraftType = this.currentDraftType;
+            this.hasDrafts = !!myDraft;
+            this.myDraftType = myDraft ? myDraft.draftType : null;
 
-            if (oldHasDrafts !== this.hasDrafts) {
+            const changed = wasEditing !== this.isEditing || previousDraftType !== this.currentDraftType;
+            if (wasEditing !== this.isEditing) {
                 this.log('Draft status changed, publishing update...');
+                await this.handleEditingChange();
+            } else if (previousDraftType !== this.currentDraftType) {
                 await this.publishStateChange(this.isActive ? 'active' : 'idle');
             }
+            
+            if (this.isEditing) {
+                await this.checkConflicts();
+            }
+            return changed;
         } catch (error) {
             if (this.isComponentActive) {
                 console.error('Error checking drafts:', error);
             }
+            return false;
         }
     }
 
-    startHeartbeat() {
-        if (this.heartbeatInterval_timer) clearInterval(this.heartbeatInterval_timer);
+    /**
+     * Editing (email draft or another component's edits) started or stopped
+     */
+    async handleEditingChange() {
+        // Conflicts are only tracked from the moment I start drafting
+        this.conflictsSince = null;
+        await this.publishStateChange(this.isActive ? 'active' : 'idle');
+    }
 
-        this.heartbeatInterval_timer = setInterval(() => {
-            // Only send heartbeat if ACTIVE
-            if (this.isActive && this.recordId) {
-                this.publishStateChange('active');
-            }
-        }, this.heartbeatInterval);
+    /**
+     * Whether I'm editing: an email draft, or unsaved edits reported over the message channel
+     */
+    get isEditing() {
+        return this.hasDrafts || Object.keys(this.externalEdits).length > 0;
     }
 
-    async publishStateChange(newState) {
-        if (!this.recordId || !this.isComponentActive) return;
-        
-        this.currentState = newState;
-        this.lastPublishedDraftStatus = this.hasDrafts;
-        
-        try {
-            await publishPresence({
-                caseId: this.recordId,
-                state: newState,
-                hasDraft: this.hasDrafts,
-                callType: 'heartbeat',
-                isMobile: !!this.isMobileDevice
-            });
-        } catch (error) {
-            if (this.isComponentActive) {
-                console.error('Error publishing state change:', error);
-            }
-        }
+    /**
+     * What I'm drafting: my server-side draft wins over edits reported by other components
+     */
+    get currentDraftType() {
+        if (this.hasDrafts) return this.myDraftType;
+        const edit = Object.values(this.externalEdits)[0];
+        return edit ? edit.draftType : null;
     }
 
-    startExpirationFilter() {
-        if (this.expirationCheckInterval) clearInterval(this.expirationCheckInterval);
+    subscribeToMessageChannel() {
+        if (this.messageSubscription || !this.messageContext) return;
+        this.messageSubscription = subscribe(
+            this.messageContext,
+            PRESENCE_CHANNEL,
+            message => this.handleChannelMessage(message)
+        );
+    }
 
-        this.expirationCheckInterval = setInterval(() => {
-            this.filterExpiredUsers();
-        }, this.expirationCheckFrequencyMs);
+    handleChannelMessage(message) {
+        if (!message || message.recordId !== this.recordId) return;
+
+        if (message.type === 'snapshotRequest') {
+            this.publishSnapshot(true);
+            return;
+        }
+        if (message.type !== 'activity' || !message.source) return;
+
+        this.log('📨 Activity from', message.source, message);
+        this.resetDraftCheckBackoff();
+        const wasEditing = this.isEditing;
+        const previousDraftType = this.currentDraftType;
+        const edits = { ...this.externalEdits };
+        if (message.editing) {
+            edits[message.source] = {
+                field: message.field || null,
+                draftType: message.draftType || 'composer',
+                at: Date.now()
+            };
+        } else {
+            delete edits[message.source];
+        }
+        this.externalEdits = edits;
+
+        if (wasEditing !== this.isEditing) {
+            this.handleEditingChange();
+        } else if (previousDraftType !== this.currentDraftType) {
+            this.publishStateChange(this.isActive ? 'active' : 'idle');
+        } else {
+            this.publishSnapshot();
+        }
     }
 
-    filterExpiredUsers() {
-        const now = Date.now();
-        const beforeCount = this.visibleUsers.length;
-        
-        this.visibleUsers = this.visibleUsers.filter(user => {
-            const lastSeenTime = new Date(user.lastSeen).getTime();
-            const age = now - lastSeenTime;
-            
-            // Special rule for Mobile users: Always expire after 60s
-            // This handles both 'gone' state grace period AND hard disconnects (no heartbeat)
-            if (user.isMobile) {
-                return age < this.MOBILE_GRACE_PERIOD_MS;
+    /**
+     * Editing signals are expected to be re-sent while editing; drop the ones that went quiet
+     */
+    pruneExternalEdits(now) {
+        const wasEditing = this.isEditing;
+        const previousDraftType = this.currentDraftType;
+        const edits = { ...this.externalEdits };
+        let changed = false;
+
+        Object.keys(edits).forEach(source => {
+            if (now - edits[source].at >= this.draftStalenessMs) {
+                delete edits[source];
+                changed = true;
             }
-            
-            return age < this.presenceExpirationMs;
         });
+        if (!changed) return;
 
-        const afterCount = this.visibleUsers.length;
-        if (beforeCount !== afterCount) {
-            this.log(`🧹 Filtered ${beforeCount - afterCount} users`);
+        this.externalEdits = edits;
+        if (wasEditing !== this.isEditing) {
+            this.handleEditingChange();
+        } else if (previousDraftType !== this.currentDraftType) {
+            this.publishStateChange(this.isActive ? 'active' : 'idle');
+        } else {
+            this.publishSnapshot();
         }
     }
 
-    setupBeforeUnload() {
-        this.beforeUnloadHandler = () => {
-            this.sendGoodbyeHeartbeat();
-            this.cleanup();
+    /**
+     * Publish the presence snapshot for other components on the page.
+     * Only sent when something changed, unless forced (answering a snapshotRequest).
+     */
+    publishSnapshot(force = false) {
+        if (!this.messageContext || !this.recordId || !this.isComponentActive) return;
+
+        const users = this.visibleUsers.map(user => ({
+            userId: user.userId,
+            userName: user.userName,
+            state: user.state,
+            hasDraft: user.hasDraft,
+            draftType: user.draftType,
+            isMobile: user.isMobile,
+            isClaiming: !!user.claimExpiresAt
+        }));
+        const snapshot = {
+            type: 'snapshot',
+            recordId: this.recordId,
+            users: users,
+            othersEditing: users.some(user => user.hasDraft),
+            isActive: this.isActive,
+            hasDrafts: this.isEditing,
+            draftType: this.currentDraftType,
+            editingFields: Object.values(this.externalEdits).map(edit => edit.field).filter(field => field)
         };
-        window.addEventListener('beforeunload', this.beforeUnloadHandler);
-    }
 
-    sendGoodbyeHeartbeat() {
-        if (!this.recordId) return;
-        // Fire and forget
-        publishPresence({
-            caseId: this.recordId,
-            state: 'gone',
-            hasDraft: false,
-            callType: 'heartbeat',
-            isMobile: !!this.isMobileDevice
-        }).catch(() => {});
+        const json = JSON.stringify(snapshot);
+        if (!force && json === this.lastSnapshotJson) return;
+        this.lastSnapshotJson = json;
+        publish(this.messageContext, PRESENCE_CHANNEL, snapshot);
     }
 
-    cleanup() {
-        this.isComponentActive = false;
-        if (this.observer) {
-            this.observer.disconnect();
-            this.observer = null;
+    /**
+     * Look for saves/emails by other users since I started drafting.
+     * Piggybacks on the draft polling so it costs nothing when I have no draft.
+     * Only server timestamps are compared: the first check of a draft just takes the server's
+     * time, later ones continue from it or from the newest change reported.
+     */
+    async checkConflicts() {
+        const result = await getRecordChanges({ recordId: this.recordId, since: this.conflictsSince });
+        if (!this.isComponentActive || !result) return;
+        if (!this.conflictsSince) {
+            this.conflictsSince = result.checkedAt;
+            return;
         }
-        if (this.heartbeatInterval_timer) clearInterval(this.heartbeatInterval_timer);
-        if (this.draftCheckInterval) clearInterval(this.draftCheckInterval);
-        if (this.expirationCheckInterval) clearInterval(this.expirationCheckInterval);
-        if (this.subscription) unsubscribe(this.subscription);
-        if (this.visibilityChangeHandler) document.removeEventListener('visibilitychange', this.visibilityChangeHandler);
-        if (this.windowBlurHandler) window.removeEventListener('blur', this.windowBlurHandler);
-        if (this.windowFocusHandler) window.removeEventListener('focus', this.windowFocusHandler);
-        if (this.beforeUnloadHandler) window.removeEventListener('beforeunload', this.beforeUnloadHandler);
+
+        const changes = result.changes || [];
+        if (changes.length === 0) return;
+
+        this.log('⚠️ Record changed while drafting:', changes);
+        this.conflicts = [...this.conflicts, ...changes.map(change => this.buildConflict(change))];
+        this.conflictsSince = changes.reduce((newest, change) =>
+            new Date(change.changedAt) > new Date(newest.changedAt) ? change : newest
+        ).changedAt;
     }
 
-    // UI Helpers
-    handleAvatarHover(event) {
-        const userId = event.currentTarget.dataset.userid;
-        const tooltip = this.template.querySelector(`.custom-tooltip[data-userid="${userId}"]`);
+    buildConflict(change) {
+        // Prefer the live presence info we already have for this user
+        const viewer = this.visibleUsers.find(u => u.userId === change.userId);
         
-        if (tooltip) {
-            const rect = event.currentTarget.getBoundingClientRect();
-            
-            // Calculate position: Fixed coordinates
-            // Center horizontally: rect.left + width/2
-            // Bottom align: rect.top - margin
-            const left = rect.left + (rect.width / 2);
-            const top = rect.top - 30; // 30px spacing for badge
-            
-            tooltip.style.left = `${left}px`;
-            tooltip.style.top = `${top}px`;
-            // Add transform for centering and moving up (handled in CSS usually, but setting here explicitly)
-            tooltip.style.transform = 'translate(-50%, -100%)';
-            
-            tooltip.classList.add('visible');
+        let description;
+        if (change.changeType === 'email') {
+            description = LABELS.conflictSentEmail;
+        } else if (change.fields && change.fields.length > 0) {
+            description = formatLabel(LABELS.conflictChangedFields, formatList(change.fields));
+        } else {
+            description = formatLabel(LABELS.conflictSaved, this.recordLabel);
         }
+        const timeLabel = formatTime(change.changedAt);
+
+        return {
+            key: `${change.userId}-${change.changeType}-${change.changedAt}`,
+            userName: viewer?.userName || change.userName,
+            userPhotoUrl: viewer?.userPhotoUrl || change.userPhotoUrl,
+            description: description,
+            timeLabel: timeLabel,
+            message: formatLabel(LABELS.conflictMessage, description, timeLabel)
+        };
     }
 
-    handleAvatarLeave(event) {
-        const userId = event.currentTarget.dataset.userid;
-        const tooltip = this.template.querySelector(`.custom-tooltip[data-userid="${userId}"]`);
-        if (tooltip) {
-            tooltip.classList.remove('visible');
-        }
+    async handleConflictRefresh() {
+        this.conflicts = [];
+        await notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
     }
 
-    showJoinToast(userName) {
-        this.dispatchEvent(new ShowToastEvent({
-            title: 'User Joined',
-            message: `${userName} is now viewing this case`,
-            variant: 'info',
-            mode: 'dismissable'
-        }));
+    handleConflictDismiss() {
+        this.conflicts = [];
     }
 
-    showLeaveToast(userName) {
-        this.dispatchEvent(new ShowToastEvent({
-            title: 'User Left',
-            message: `${userName} has left this case`,
-            variant: 'info',
-            mode: 'dismissable'
-        }));
+    async handleNudge(payload) {
+        if (payload.ToUserId__c !== this.currentUserId || payload.RecordId__c !== this.recordId) return;
+        // Every tab on this record gets the event; within one component keep it once
+        if (this.nudges.some(nudge => nudge.nudgeId === payload.NudgeId__c)
+            || this.pendingNudgeIds.has(payload.NudgeId__c)) return;
+
+        // The event goes to every subscriber, so it carries no message; only the recipient can read it
+        let message;
+        this.pendingNudgeIds.add(payload.NudgeId__c);
+        try {
+            message = await getNudgeMessage({ nudgeId: payload.NudgeId__c });
+        } catch (error) {
+            console.error('Error loading nudge:', error);
+            return;
+        } finally {
+            this.pendingNudgeIds.delete(payload.NudgeId__c);
+        }
+        if (!this.isComponentActive) return;
+
+        this.log('💬 Nudge received', payload.FromUserName__c, message);
+        this.nudges = [
+            ...this.nudges,
+            {
+                nudgeId: payload.NudgeId__c,
+                fromUserId: payload.FromUserId__c,
+                fromUserName: payload.FromUserName__c || LABELS.someone,
+                fromUserPhotoUrl: payload.FromUserPhotoUrl__c,
+                message,
+                isReply: !!payload.ReplyToId__c,
+                senderLabel: formatLabel(
+                    payload.ReplyToId__c ? LABELS.nudgeReplyFrom : LABELS.nudgeFrom,
+                    payload.FromUserName__c || LABELS.someone
+                ),
+                timeLabel: formatTime(payload.SentAt__c)
+            }
+        ];
     }
 
-    showEditingToast(userName) {
-        this.dispatchEvent(new ShowToastEvent({
-            title: 'Started Editing',
-            message: `${userName} is now editing this case`,
-            variant: 'info',
-            mode: 'dismissable'
-        }));
+    handleAvatarClick(event) {
+        const userId = event.currentTarget.dataset.userid;
+        const user = this.visibleUsers.find(u => u.userId === userId);
+        if (user) {
+            this.openNudgeComposer(user.userId, user.userName, null);
+        }
     }
 
-    showStoppedEditingToast(userName) {
-        this.dispatchEvent(new ShowToastEvent({
-            title: 'Stopped Editing',
-            message: `${userName} has stopped editing this case`,
+    handleAvatarKeydown(event) {
+        const userId = event.currentTarget.dataset.userid;
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleAvatarClick(event);
+        } else if (event.key === 'Escape') {
+            this.hideTooltip(userId);
+        } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) {
+            event.preventDefault();
+            this.moveAvatarFocus(userId, event.key);
+        }
+    }
+
+    /**
+     * Arrow keys move along the avatar row (in reading order, so reversed in RTL), Home/End jump to the ends
+     */
+    moveAvatarFocus(userId, key) {
+        const avatars = [...this.template.querySelectorAll('.avatar-wrapper')];
+        const index = avatars.findIndex(avatar => avatar.dataset.userid === userId);
+        const forward = IS_RTL ? 'ArrowLeft' : 'ArrowRight';
+
+        let next;
+        if (key === 'Home') {
+            next = 0;
+        } else if (key === 'End') {
+            next = avatars.length - 1;
+        } else {
+            next = Math.min(Math.max(index + (key === forward ? 1 : -1), 0), avatars.length - 1);
+        }
+
+        const target = avatars[next];
+        if (target) {
+            this.focusedAvatarId = target.dataset.userid;
+            target.focus();
+        }
+    }
+
+    handleAvatarFocus(event) {
+        this.focusedAvatarId = event.currentTarget.dataset.userid;
+        this.showTooltip(event.currentTarget);
+    }
+
+    handleAvatarBlur(event) {
+        this.hideTooltip(event.currentTarget.dataset.userid);
+    }
+
+    handleOverflowNudge(event) {
+        this.isOverflowOpen = false;
+        this.handleAvatarClick(event);
+    }
+
+    openNudgeComposer(userId, userName, replyToId) {
+        this.nudgeTarget = { userId, userName, replyToId };
+        this.nudgeText = '';
+    }
+
+    handleNudgeCancel() {
+        this.nudgeTarget = null;
+        this.nudgeText = '';
+    }
+
+    handleNudgeTextChange(event) {
+        this.nudgeText = event.target.value;
+    }
+
+    handleNudgePreset(event) {
+        this.sendNudgeTo(this.nudgeTarget, event.currentTarget.dataset.message);
+    }
+
+    handleNudgeSend() {
+        this.sendNudgeTo(this.nudgeTarget, this.nudgeText);
+    }
+
+    handleNudgeQuickReply(event) {
+        const nudge = this.nudges.find(n => n.nudgeId === event.currentTarget.dataset.nudgeid);
+        if (nudge) {
+            this.sendNudgeTo(
+                { userId: nudge.fromUserId, userName: nudge.fromUserName, replyToId: nudge.nudgeId },
+                event.currentTarget.dataset.message
+            );
+        }
+    }
+
+    handleNudgeReply(event) {
+        const nudge = this.nudges.find(n => n.nudgeId === event.currentTarget.dataset.nudgeid);
+        if (nudge) {
+            this.openNudgeComposer(nudge.fromUserId, nudge.fromUserName, nudge.nudgeId);
+        }
+    }
+
+    handleNudgeDismiss(event) {
+        const nudgeId = event.currentTarget.dataset.nudgeid;
+        this.nudges = this.nudges.filter(nudge => nudge.nudgeId !== nudgeId);
+    }
+
+    async sendNudgeTo(target, message) {
+        const text = (message || '').trim();
+        if (!target || !text || !this.recordId || this.isNudgeSending) return;
+
+        this.isNudgeSending = true;
+        try {
+            await sendNudge({
+                recordId: this.recordId,
+                toUserId: target.userId,
+                message: text,
+                replyToId: target.replyToId
+            });
+            if (!this.isComponentActive) return;
+
+            this.log('💬 Nudge sent', target.userName, text);
+            // Answering a nudge clears it
+            if (target.replyToId) {
+                this.nudges = this.nudges.filter(nudge => nudge.nudgeId !== target.replyToId);
+            }
+            this.nudgeTarget = null;
+            this.nudgeText = '';
+            this.dispatchEvent(new ShowToastEvent({
+                title: LABELS.nudgeSentTitle,
+                message: formatLabel(LABELS.nudgeSentMessage, target.userName, text),
+                variant: 'success'
+            }));
+        } catch (error) {
+            if (this.isComponentActive) {
+                console.error('Error sending nudge:', error);
+                this.dispatchEvent(new ShowToastEvent({
+                    title: LABELS.nudgeFailedTitle,
+                    message: error?.body?.message || error?.message || LABELS.nudgeFailedMessage,
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isNudgeSending = false;
+        }
+    }
+
+    get hasNudges() {
+        return this.nudges.length > 0;
+    }
+
+    get isNudgeComposerOpen() {
+        return !!this.nudgeTarget;
+    }
+
+    get nudgeComposerTitle() {
+        if (!this.nudgeTarget) return '';
+        return this.nudgeTarget.replyToId
+            ? formatLabel(LABELS.nudgeReplyTitle, this.nudgeTarget.userName)
+            : formatLabel(LABELS.nudgeTitle, this.nudgeTarget.userName);
+    }
+
+    get isNudgeSendDisabled() {
+        return this.isNudgeSending || !(this.nudgeText || '').trim();
+    }
+
+    async publishStateChange(newState) {
+        if (!this.recordId || !this.isComponentActive) return;
+        
+        this.currentState = newState;
+        this.lastPublishedDraftStatus = this.isEditing;
+        this.publishSnapshot();
+        if (this.isInvisible) return;
+        
+        // Other viewers already see this, and it's recent enough to double as a keepalive
+        const params = { ...this.buildPresenceParams(newState), callType: 'stateChange' };
+        const signature = this.presenceSignature(params);
+        const now = Date.now();
+        if (signature === this.lastPublishedSignature && now - this.lastPublishedAt < this.keepaliveMs) {
+            this.log('⏭️ Presence unchanged, not publishing', signature);
+            return;
+        }
+        
+        this.lastPublishedSignature = signature;
+        this.lastPublishedAt = now;
+        this.keepaliveMs = this.heartbeatInterval;
+        
+        try {
+            // Retry a few times unless something newer has been published since
+            await retryWithBackoff(
+                () => publishPresence(params),
+                () => this.isComponentActive && this.lastPublishedSignature === signature
+            );
+            reportPublishResult(true);
+        } catch (error) {
+            reportPublishResult(false);
+            // Let the next change or keepalive try again
+            if (this.lastPublishedSignature === signature) {
+                this.lastPublishedSignature = null;
+                this.lastPublishedAt = 0;
+            }
+            if (this.isComponentActive) {
+                console.error('Error publishing state change:', error);
+            }
+        }
+    }
+
+    async handleToggleInvisible() {
+        if (this.isInvisiblePending) return;
+
+        this.isInvisiblePending = true;
+        try {
+            const invisible = await setInvisibleMode({ invisible: !this.isInvisible });
+            if (!this.isComponentActive) return;
+
+            shareInvisibleMode(invisible);
+            this.dispatchEvent(new ShowToastEvent({
+                title: invisible ? LABELS.invisibleOnTitle : LABELS.invisibleOffTitle,
+                message: invisible ? LABELS.invisibleOnMessage : LABELS.invisibleOffMessage,
+                variant: 'info'
+            }));
+        } catch (error) {
+            if (this.isComponentActive) {
+                console.error('Error updating invisible mode:', error);
+                this.dispatchEvent(new ShowToastEvent({
+                    title: LABELS.invisibleModeTitle,
+                    message: error?.body?.message || error?.message || LABELS.invisibleModeError,
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isInvisiblePending = false;
+        }
+    }
+
+    /**
+     * Invisible mode changed in this or another tab. Becoming visible announces this tab right away;
+     * going invisible needs nothing here, the server already ended every live session.
+     */
+    applyInvisibleMode(invisible) {
+        if (!this.isComponentActive || this.isInvisible === invisible) return;
+
+        this.log(invisible ? '🙈 Invisible mode on' : '👀 Invisible mode off');
+        this.isInvisible = invisible;
+        if (invisible) {
+            this.myClaimExpiresAt = null;
+        } else {
+            this.lastPublishedSignature = null;
+            this.lastPublishedAt = 0;
+            this.publishStateChange(this.isActive ? 'active' : 'idle');
+        }
+    }
+
+    handleClaim() {
+        this.sendClaim('claim');
+    }
+
+    handleReleaseClaim() {
+        this.sendClaim('release');
+    }
+
+    handleOverrideClaim() {
+        this.sendClaim('override');
+    }
+
+    async sendClaim(action) {
+        if (!this.recordId || !this.isComponentActive || this.isClaimPending) return;
+
+        this.isClaimPending = true;
+        try {
+            const expiresAt = await updateClaim({
+                recordId: this.recordId,
+                sessionId: this.sessionId,
+                action: action,
+                state: this.isActive ? 'active' : 'idle',
+                hasDraft: this.isEditing,
+                draftType: this.currentDraftType,
+                isMobile: !!this.isMobileDevice
+            });
+            if (!this.isComponentActive) return;
+
+            this.log(`🙋 Claim ${action}`, expiresAt);
+            this.myClaimExpiresAt = expiresAt || null;
+            if (action === 'override') {
+                this.clearOtherClaims(this.currentUserId);
+            }
+        } catch (error) {
+            if (this.isComponentActive) {
+                console.error('Error updating claim:', error);
+                this.dispatchEvent(new ShowToastEvent({
+                    title: LABELS.claimFailedTitle,
+                    message: error?.body?.message || error?.message || LABELS.claimFailedMessage,
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isClaimPending = false;
+        }
+    }
+
+    startExpirationFilter() {
+        if (this.expirationCheckInterval) clearInterval(this.expirationCheckInterval);
+
+        this.expirationCheckInterval = setInterval(() => {
+            this.filterExpiredUsers();
+        }, this.expirationCheckFrequencyMs);
+    }
+
+    filterExpiredUsers() {
+        const now = Date.now();
+        const beforeCount = this.visibleUsers.length;
+        
+        this.visibleUsers.forEach(user => {
+            const sessions = { ...(this.userSessions[user.userId] || {}) };
+            let changed = false;
+
+            Object.keys(sessions).forEach(key => {
+                const age = now - new Date(sessions[key].lastSeen).getTime();
+                
+                // Special rule for Mobile sessions: Always expire after 60s
+                // This handles both 'gone' state grace period AND hard disconnects (no heartbeat)
+                const maxAge = sessions[key].isMobile ? this.MOBILE_GRACE_PERIOD_MS : this.presenceExpirationMs;
+                if (age >= maxAge) {
+                    delete sessions[key];
+                    changed = true;
+                } else if (sessions[key].claimExpiresAt && new Date(sessions[key].claimExpiresAt).getTime() <= now) {
+                    sessions[key] = { ...sessions[key], claimedAt: null, claimExpiresAt: null };
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                this.applyUserSessions(user, sessions);
+            }
+        });
+
+        this.pruneExternalEdits(now);
+
+        if (this.myClaimExpiresAt && new Date(this.myClaimExpiresAt).getTime() <= now) {
+            this.log('⌛ My claim expired');
+            this.myClaimExpiresAt = null;
+        }
+
+        const afterCount = this.visibleUsers.length;
+        if (beforeCount !== afterCount) {
+            this.log(`🧹 Filtered ${beforeCount - afterCount} users`);
+        }
+    }
+
+    setupBeforeUnload() {
+        this.beforeUnloadHandler = () => {
+            this.sendGoodbyeHeartbeat();
+            this.cleanup();
+        };
+        window.addEventListener('beforeunload', this.beforeUnloadHandler);
+    }
+
+    sendGoodbyeHeartbeat() {
+        if (!this.recordId || this.isInvisible) return;
+        // Fire and forget; leaving is a state change, not a keepalive
+        publishPresence({ ...this.buildPresenceParams('gone', false), callType: 'stateChange' }).catch(() => {});
+    }
+
+    buildPresenceParams(state, hasDraft = this.isEditing) {
+        return {
+            recordId: this.recordId,
+            state: state,
+            hasDraft: hasDraft,
+            callType: 'heartbeat',
+            isMobile: !!this.isMobileDevice,
+            sessionId: this.sessionId,
+            draftType: hasDraft ? this.currentDraftType : null
+        };
+    }
+
+    cleanup() {
+        this.isComponentActive = false;
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        unregister(this.sessionId);
+        if (this.messageSubscription) {
+            unsubscribe(this.messageSubscription);
+            this.messageSubscription = null;
+        }
+        this.stopDraftChecking();
+        if (this.expirationCheckInterval) clearInterval(this.expirationCheckInterval);
+        if (this.announceTimeout) clearTimeout(this.announceTimeout);
+        if (this.digestTimeout) clearTimeout(this.digestTimeout);
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+        if (this.visibilityChangeHandler) document.removeEventListener('visibilitychange', this.visibilityChangeHandler);
+        if (this.windowBlurHandler) window.removeEventListener('blur', this.windowBlurHandler);
+        if (this.windowFocusHandler) window.removeEventListener('focus', this.windowFocusHandler);
+        if (this.beforeUnloadHandler) window.removeEventListener('beforeunload', this.beforeUnloadHandler);
+    }
+
+    // UI Helpers
+    handleAvatarHover(event) {
+        this.showTooltip(event.currentTarget);
+    }
+
+    handleAvatarLeave(event) {
+        // Keep the tooltip of the avatar that has keyboard focus
+        if (this.template.activeElement === event.currentTarget) return;
+        this.hideTooltip(event.currentTarget.dataset.userid);
+    }
+
+    showTooltip(avatar) {
+        const userId = avatar.dataset.userid;
+        const tooltip = this.template.querySelector(`.custom-tooltip[data-userid="${userId}"]`);
+        
+        if (tooltip) {
+            const rect = avatar.getBoundingClientRect();
+            
+            // Calculate position: Fixed coordinates
+            // Center horizontally: rect.left + width/2
+            // Bottom align: rect.top - margin
+            const left = rect.left + (rect.width / 2);
+            const top = rect.top - 30; // 30px spacing for badge
+            
+            tooltip.style.left = `${left}px`;
+            tooltip.style.top = `${top}px`;
+            // Add transform for centering and moving up (handled in CSS usually, but setting here explicitly)
+            tooltip.style.transform = 'translate(-50%, -100%)';
+            
+            tooltip.classList.add('visible');
+        }
+    }
+
+    hideTooltip(userId) {
+        const tooltip = this.template.querySelector(`.custom-tooltip[data-userid="${userId}"]`);
+        if (tooltip) {
+            tooltip.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Read a change out through the aria-live region; changes arriving together are read as one
+     */
+    announce(message) {
+        this.pendingAnnouncements.push(message);
+        if (this.announceTimeout) return;
+
+        // Emptying the region first makes screen readers repeat an identical message
+        this.liveMessage = '';
+        this.announceTimeout = setTimeout(() => {
+            this.announceTimeout = null;
+            if (!this.isComponentActive) return;
+            this.liveMessage = this.pendingAnnouncements.join(' ');
+            this.pendingAnnouncements = [];
+        }, ANNOUNCE_DELAY_MS);
+    }
+
+    get announcementOptions() {
+        const labels = { all: LABELS.announceAll, edits: LABELS.announceEdits, off: LABELS.announceOff };
+        return ANNOUNCEMENT_LEVELS.map(level => ({
+            value: `announce:${level}`,
+            label: labels[level],
+            checked: level === this.announcementLevel
+        }));
+    }
+
+    get browserAlertsSupported() {
+        return typeof window.Notification === 'function';
+    }
+
+    get browserAlertsChecked() {
+        return this.notificationPrefs.browserAlerts;
+    }
+
+    get quietHoursMenuLabel() {
+        const quietStart = this.settings?.quietStart;
+        const quietEnd = this.settings?.quietEnd;
+        return quietStart && quietEnd
+            ? formatLabel(LABELS.quietHoursSet, formatClockTime(quietStart), formatClockTime(quietEnd))
+            : LABELS.quietHoursMenu;
+    }
+
+    /**
+     * People on the record plus anyone muted earlier, so they can be unmuted after they left
+     */
+    get muteOptions() {
+        const names = { ...this.mutedUsers };
+        this.sortedUsers.forEach(user => {
+            names[user.userId] = user.userName;
+        });
+        return Object.entries(names).map(([userId, userName]) => ({
+            value: `mute:${userId}`,
+            label: formatLabel(LABELS.muteUser, userName || LABELS.unknownUser),
+            checked: this.isMuted(userId)
+        }));
+    }
+
+    /**
+     * userId -> name of the people muted, saved with the user's preferences
+     */
+    get mutedUsers() {
+        return this.settings?.mutedUsers || {};
+    }
+
+    isMuted(userId) {
+        return Object.prototype.hasOwnProperty.call(this.mutedUsers, userId);
+    }
+
+    get hasMuteOptions() {
+        return this.muteOptions.length > 0;
+    }
+
+    handleNotificationMenuOpen() {
+        // Pick up changes made from another tab
+        this.notificationPrefs = readNotificationPrefs();
+        this.announcementLevel = readAnnouncementLevel();
+    }
+
+    handleNotificationMenuSelect(event) {
+        const value = event.detail.value || '';
+        const separator = value.indexOf(':');
+        const action = separator === -1 ? value : value.slice(0, separator);
+        const argument = separator === -1 ? null : value.slice(separator + 1);
+
+        if (action === 'announce') {
+            this.setAnnouncementLevel(argument);
+        } else if (action === 'mute') {
+            this.toggleMute(argument);
+        } else if (action === 'alerts') {
+            this.toggleBrowserAlerts();
+        } else if (action === 'quiet') {
+            this.openQuietHoursEditor();
+        }
+    }
+
+    setAnnouncementLevel(level) {
+        if (!ANNOUNCEMENT_LEVELS.includes(level)) return;
+        this.announcementLevel = level;
+        try {
+            window.localStorage.setItem(ANNOUNCEMENT_KEY, level);
+        } catch (error) {
+            // Storage blocked: the choice lasts until the page is reloaded
+        }
+    }
+
+    saveNotificationPrefs(prefs) {
+        this.notificationPrefs = prefs;
+        try {
+            window.localStorage.setItem(NOTIFICATION_PREFS_KEY, JSON.stringify(prefs));
+        } catch (error) {
+            // Storage blocked: the choice lasts until the page is reloaded
+        }
+    }
+
+    toggleMute(userId) {
+        const mutedUserIds = Object.keys(this.mutedUsers).filter(mutedId => mutedId !== userId);
+        if (!this.isMuted(userId)) {
+            mutedUserIds.push(userId);
+        }
+        this.log('🔕 Muted users changed', mutedUserIds);
+        this.updatePreferences(() => saveUserPreferences({ preferences: this.buildPreferences({ mutedUserIds }) }));
+    }
+
+    async toggleBrowserAlerts() {
+        const prefs = readNotificationPrefs();
+        const enable = !prefs.browserAlerts;
+        if (enable) {
+            // Asked from the menu click, as browsers require
+            const permission = this.browserAlertsSupported
+                ? await window.Notification.requestPermission()
+                : 'denied';
+            if (permission !== 'granted') {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: LABELS.notificationsMenu,
+                    message: LABELS.browserAlertsBlocked,
+                    variant: 'warning'
+                }));
+                return;
+            }
+        }
+        this.saveNotificationPrefs({ ...readNotificationPrefs(), browserAlerts: enable });
+    }
+
+    canShowBrowserAlerts() {
+        return this.notificationPrefs.browserAlerts
+            && this.browserAlertsSupported
+            && window.Notification.permission === 'granted'
+            && !this.isQuietHours();
+    }
+
+    showBrowserAlert(user) {
+        try {
+            const notification = new window.Notification(this.recordName || LABELS.startedEditingTitle, {
+                body: formatLabel(LABELS.startedEditingMessage, user.userName, this.getActivityLabel(user.draftType), this.recordLabel),
+                icon: user.userPhotoUrl,
+                // Every tab with this record open gets the event; the tag makes the browser show it once
+                tag: `casePresence-${this.recordId}-${user.userId}`
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        } catch (error) {
+            console.error('Error showing desktop alert:', error);
+        }
+    }
+
+    /**
+     * Quiet hours are wall-clock times in the user's Salesforce time zone and may span midnight (18:00 to 08:00)
+     */
+    isQuietHours() {
+        const start = toMinutes(this.settings?.quietStart);
+        const end = toMinutes(this.settings?.quietEnd);
+        if (start === null || end === null || start === end) return false;
+        const now = minutesOfDay();
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    openQuietHoursEditor() {
+        const quietStart = this.settings?.quietStart;
+        const quietEnd = this.settings?.quietEnd;
+        // lightning-input type="time" works with HH:mm:ss.SSS
+        this.quietStartDraft = quietStart ? `${quietStart}:00.000` : null;
+        this.quietEndDraft = quietEnd ? `${quietEnd}:00.000` : null;
+        this.isQuietHoursEditorOpen = true;
+    }
+
+    handleQuietHoursChange(event) {
+        if (event.target.dataset.field === 'start') {
+            this.quietStartDraft = event.detail.value;
+        } else {
+            this.quietEndDraft = event.detail.value;
+        }
+    }
+
+    get isQuietHoursSaveDisabled() {
+        return !this.quietStartDraft || !this.quietEndDraft;
+    }
+
+    handleQuietHoursSave() {
+        this.saveQuietHours(this.quietStartDraft.slice(0, 5), this.quietEndDraft.slice(0, 5));
+    }
+
+    handleQuietHoursClear() {
+        this.saveQuietHours(null, null);
+    }
+
+    saveQuietHours(quietStart, quietEnd) {
+        this.isQuietHoursEditorOpen = false;
+        this.log('🌙 Quiet hours changed', quietStart, quietEnd);
+        this.updatePreferences(() => saveUserPreferences({ preferences: this.buildPreferences({ quietStart, quietEnd }) }));
+    }
+
+    handleQuietHoursCancel() {
+        this.isQuietHoursEditorOpen = false;
+    }
+
+    get toastPreferenceOptions() {
+        return this.buildPreferenceOptions(TOAST_PREFERENCES);
+    }
+
+    get displayPreferenceOptions() {
+        return this.buildPreferenceOptions(DISPLAY_PREFERENCES);
+    }
+
+    buildPreferenceOptions(preferences) {
+        return preferences.map(preference => ({
+            value: `pref:${preference.key}`,
+            label: preference.label,
+            checked: !!this.settings?.[preference.key]
+        }));
+    }
+
+    get hasUserPreferences() {
+        return !!this.settings?.hasUserPreferences;
+    }
+
+    handlePreferencesMenuSelect(event) {
+        const value = event.detail.value || '';
+        if (value === 'reset') {
+            this.updatePreferences(() => resetUserPreferences());
+            return;
+        }
+
+        const key = value.replace(/^pref:/, '');
+        if (!PREFERENCE_KEYS.includes(key)) return;
+        const preferences = this.buildPreferences({ [key]: !this.settings?.[key] });
+        this.updatePreferences(() => saveUserPreferences({ preferences }));
+    }
+
+    /**
+     * Everything saveUserPreferences stores, as it applies now, with the given changes
+     */
+    buildPreferences(changes) {
+        const preferences = {
+            mutedUserIds: Object.keys(this.mutedUsers),
+            quietStart: this.settings?.quietStart || null,
+            quietEnd: this.settings?.quietEnd || null
+        };
+        PREFERENCE_KEYS.forEach(key => {
+            preferences[key] = !!this.settings?.[key];
+        });
+        return { ...preferences, ...changes };
+    }
+
+    /**
+     * Save or reset the user's preferences and apply what the server now returns.
+     * Other open tabs pick the change up when they next load.
+     */
+    async updatePreferences(request) {
+        if (this.isPreferencesPending) return;
+
+        this.isPreferencesPending = true;
+        try {
+            const settings = await request();
+            if (!this.isComponentActive || !settings) return;
+
+            const applied = {
+                hasUserPreferences: !!settings.hasUserPreferences,
+                mutedUsers: settings.mutedUsers || {},
+                quietStart: settings.quietStart || null,
+                quietEnd: settings.quietEnd || null
+            };
+            PREFERENCE_KEYS.forEach(key => {
+                applied[key] = !!settings[key];
+            });
+            this.settings = { ...this.settings, ...applied };
+            this.log('⚙️ Preferences updated', applied);
+        } catch (error) {
+            if (this.isComponentActive) {
+                console.error('Error saving preferences:', error);
+                this.dispatchEvent(new ShowToastEvent({
+                    title: LABELS.preferencesErrorTitle,
+                    message: error?.body?.message || error?.message || LABELS.preferencesError,
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isPreferencesPending = false;
+        }
+    }
+
+    showJoinToast(userName) {
+        this.queueToast({
+            title: LABELS.userJoinedTitle,
+            message: formatLabel(LABELS.userJoinedMessage, userName, this.recordLabel)
+        });
+    }
+
+    showLeaveToast(userName) {
+        this.queueToast({
+            title: LABELS.userLeftTitle,
+            message: formatLabel(LABELS.userLeftMessage, userName, this.recordLabel)
+        });
+    }
+
+    showEditingToast(userName, draftType) {
+        this.queueToast({
+            title: LABELS.startedEditingTitle,
+            message: formatLabel(LABELS.startedEditingMessage, userName, this.getActivityLabel(draftType), this.recordLabel)
+        });
+    }
+
+    showStoppedEditingToast(userName) {
+        this.queueToast({
+            title: LABELS.stoppedEditingTitle,
+            message: formatLabel(LABELS.stoppedEditingMessage, userName, this.recordLabel)
+        });
+    }
+
+    /**
+     * Join/leave/edit toasts: the first shows right away, the rest of a burst are held
+     * and shown together as one digest toast
+     */
+    queueToast(toast) {
+        if (this.isQuietHours()) return;
+        if (this.digestTimeout) {
+            this.pendingToasts.push(toast);
+            return;
+        }
+        this.dispatchInfoToast(toast);
+        this.startDigestWindow();
+    }
+
+    startDigestWindow() {
+        this.digestTimeout = setTimeout(() => {
+            this.digestTimeout = null;
+            if (!this.isComponentActive || this.pendingToasts.length === 0) return;
+
+            const toasts = this.pendingToasts;
+            this.pendingToasts = [];
+            this.dispatchInfoToast(toasts.length === 1 ? toasts[0] : this.buildDigestToast(toasts));
+            // Keep coalescing while the burst lasts
+            this.startDigestWindow();
+        }, DIGEST_WINDOW_MS);
+    }
+
+    buildDigestToast(toasts) {
+        const lines = toasts.slice(0, MAX_DIGEST_LINES).map(toast => toast.message);
+        if (toasts.length > MAX_DIGEST_LINES) {
+            lines.push(formatLabel(LABELS.moreCount, toasts.length - MAX_DIGEST_LINES));
+        }
+        this.log('📨 Digest of', toasts.length, 'notifications');
+        return {
+            title: formatLabel(LABELS.digestTitle, toasts.length, this.recordLabel),
+            message: lines.join(' · ')
+        };
+    }
+
+    dispatchInfoToast(toast) {
+        this.dispatchEvent(new ShowToastEvent({
+            title: toast.title,
+            message: toast.message,
             variant: 'info',
             mode: 'dismissable'
         }));
+        if (this.settings?.playSounds) {
+            this.playNotificationSound();
+        }
+    }
+
+    /**
+     * A short, quiet chime generated in the browser, so there is no sound file to deploy
+     */
+    playNotificationSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+            }
+            const context = this.audioContext;
+            if (context.state === 'suspended') {
+                context.resume().catch(() => {});
+            }
+            const start = context.currentTime;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(880, start);
+            gain.gain.setValueAtTime(0.08, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        } catch (error) {
+            // Audio blocked by the browser: the toast alone will do
+            this.log('🔇 Could not play notification sound', error?.message);
+        }
+    }
+
+    showClaimOverriddenToast(userName) {
+        this.dispatchEvent(new ShowToastEvent({
+            title: LABELS.claimOverriddenTitle,
+            message: formatLabel(LABELS.claimOverriddenMessage, userName, this.recordLabel),
+            variant: 'warning',
+            mode: 'dismissable'
+        }));
+    }
+
+    /**
+     * The other user currently claiming this record (earliest claim wins if several)
+     */
+    get claimant() {
+        const claimants = this.visibleUsers
+            .filter(user => user.claimExpiresAt)
+            .sort((a, b) => new Date(a.claimedAt) - new Date(b.claimedAt));
+        if (claimants.length === 0) return null;
+
+        const claimant = claimants[0];
+        return {
+            ...claimant,
+            claimedAtLabel: formatLabel(LABELS.claimedBy, formatTime(claimant.claimedAt))
+        };
+    }
+
+    get hasClaimant() {
+        return this.enableClaims && !!this.claimant;
+    }
+
+    get hasMyClaim() {
+        return this.enableClaims && !!this.myClaimExpiresAt;
+    }
+
+    get myClaimLabel() {
+        return formatLabel(LABELS.myClaim, this.recordLabel, formatTime(this.myClaimExpiresAt));
+    }
+
+    get showClaimButton() {
+        return this.enableClaims && !this.myClaimExpiresAt && !this.claimant && !this.isInvisible;
+    }
+
+    get invisibleToggleIcon() {
+        return this.isInvisible ? 'utility:preview' : 'utility:hide';
+    }
+
+    get invisibleToggleLabel() {
+        return this.isInvisible ? LABELS.becomeVisible : LABELS.goInvisible;
+    }
+
+    get displayedRecentViewers() {
+        // Someone who came back is shown in "Also viewing" instead
+        const presentIds = new Set(this.visibleUsers.map(user => user.userId));
+        return this.recentViewers
+            .filter(viewer => !presentIds.has(viewer.userId))
+            .map(viewer => {
+                const details = [formatLabel(LABELS.leftAt, formatTime(viewer.lastSeen))];
+                if (viewer.activeSeconds) details.push(formatLabel(LABELS.activeFor, formatDuration(viewer.activeSeconds)));
+                if (viewer.idleSeconds) details.push(formatLabel(LABELS.idleFor, formatDuration(viewer.idleSeconds)));
+                return {
+                    ...viewer,
+                    detailLabel: details.join(' · ')
+                };
+            });
+    }
+
+    get hasRecentViewers() {
+        return this.showRecentViewers && this.displayedRecentViewers.length > 0;
+    }
+
+    get hasConflicts() {
+        return this.conflicts.length > 0;
     }
 
     get hasVisibleUsers() {
-        return this.visibleUsers && this.visibleUsers.length > 0;
+        return this.shownUsers.length > 0;
+    }
+
+    /**
+     * Viewers the user wants to see: idle ones are left out when they turned "Show idle viewers" off.
+     * Mobile viewers count as active, and anyone editing is always shown.
+     */
+    get shownUsers() {
+        const users = this.visibleUsers || [];
+        if (this.settings?.showIdleUsers !== false) return users;
+        return users.filter(user => user.state !== 'idle' || user.isMobile || user.hasDraft);
+    }
+
+    get isCompact() {
+        return !!this.settings?.compactDisplay;
+    }
+
+    get avatarRowClass() {
+        return `${this.isCompact ? 'slds-m-top_x-small' : 'slds-m-top_large'} slds-grid slds-grid_align-start slds-grid_vertical-align-center`;
+    }
+
+    get avatarSize() {
+        return this.isCompact ? 'x-small' : 'small';
+    }
+
+    get isConnectionLive() {
+        return this.connectionStatus === 'live';
+    }
+
+    get connectionDotClass() {
+        return `connection-dot connection-dot_${this.connectionStatus}`;
+    }
+
+    get connectionLabel() {
+        return CONNECTION_LABELS[this.connectionStatus] || this.connectionStatus;
+    }
+
+    get connectionTooltip() {
+        return CONNECTION_TOOLTIPS[this.connectionReason || this.connectionStatus] || this.connectionLabel;
+    }
+
+    /**
+     * Nobody else is here: show a row anyway when the admin enabled "Only you",
+     * or when presence isn't live so "nobody here" isn't mistaken for "broken"
+     */
+    get showEmptyState() {
+        return !this.hasVisibleUsers && !!this.recordId && !this.presenceError
+            && (this.showOnlyYouRow || !this.isConnectionLive || this.canGoInvisible);
+    }
+
+    get presenceErrorLabel() {
+        return formatLabel(LABELS.presenceUnavailable, this.presenceError);
+    }
+
+    get emptyStateLabel() {
+        if (this.isInvisible) return LABELS.onlyYouInvisible;
+        return this.showOnlyYouRow || this.canGoInvisible
+            ? LABELS.onlyYou
+            : formatLabel(LABELS.presenceStatus, this.connectionLabel);
     }
 
     get isMobile() {
         return window.matchMedia('(max-width: 768px)').matches;
     }
 
+    /**
+     * Viewers by activity: editing, then active (mobile counts as active), then idle.
+     * Ties go to the most recently seen.
+     */
+    get sortedUsers() {
+        const rank = user => {
+            if (user.hasDraft) return 0;
+            if (user.state === 'active' || user.isMobile) return 1;
+            return 2;
+        };
+        return [...this.shownUsers].sort((a, b) =>
+            (rank(a) - rank(b)) || (new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0))
+        );
+    }
+
     get displayedUsers() {
-        const vipUsers = this.parsedVipUsers;
-        const keyUsers = this.parsedKeyUsers;
+        const mappedUsers = this.sortedUsers.map(user => this.decorateUser(user));
+        const displayed = this.isMobile ? mappedUsers : mappedUsers.slice(0, 5);
+        // One avatar in the tab order: the last one focused while it's still shown, else the first
+        const tabbableId = displayed.some(user => user.userId === this.focusedAvatarId)
+            ? this.focusedAvatarId
+            : displayed[0]?.userId;
+        return displayed.map(user => ({ ...user, tabIndex: user.userId === tabbableId ? '0' : '-1' }));
+    }
+
+    get avatarListLabel() {
+        return formatLabel(LABELS.avatarListLabel, this.recordLabel);
+    }
+
+    decorateUser(user) {
+        // Rule: Opacity 100% if Active OR if Mobile (regardless of state)
+        let opacity = '0.5';
+        if (user.state === 'active' || user.isMobile) {
+            opacity = '1';
+        }
         
-        const mappedUsers = this.visibleUsers.map(user => {
-            // Rule: Opacity 100% if Active OR if Mobile (regardless of state)
-            let opacity = '0.5';
-            if (user.state === 'active' || user.isMobile) {
-                opacity = '1';
-            }
-            
-            const fullName = user.userName || '';
-            const firstName = fullName.split(' ')[0];
-            const userNameLower = firstName.toLowerCase();
-            let badge = null;
-            
-            if (vipUsers.includes(userNameLower)) badge = this.vipBadge;
-            else if (keyUsers.includes(userNameLower)) badge = this.keyBadge;
-            else if (this.parsedNormalUsers.includes(userNameLower)) badge = this.normalBadge;
-            
-            return {
-                ...user,
-                firstName: firstName,
-                stateLabel: this.getStateLabel(user),
-                isEditing: user.hasDraft,
-                containerStyle: `opacity: ${opacity};`,
-                photoClass: `avatar-photo ${user.hasDraft ? 'editing' : ''}`,
-                badge: badge,
-                showMobileIcon: user.isMobile
-            };
-        });
-        return this.isMobile ? mappedUsers : mappedUsers.slice(0, 5);
+        const fullName = user.userName || '';
+        const firstName = fullName.split(' ')[0];
+        const tier = user.badgeTier ? this.badgeTiers[user.badgeTier] : null;
+        const stateLabel = this.getStateLabel(user);
+        // The editing pulse keeps its own colour
+        const photoStyle = tier && tier.color && !user.hasDraft ? `border-color: ${tier.color};` : '';
+        
+        return {
+            ...user,
+            firstName: firstName,
+            stateLabel: stateLabel,
+            // What a screen reader says for this person, since state is otherwise only shown by opacity and icons
+            accessibleLabel: [fullName, stateLabel, tier ? tier.label : null, user.isMobile ? LABELS.onMobile : null]
+                .filter(Boolean)
+                .join(', '),
+            isEditing: user.hasDraft,
+            // Dim the photo only, so the name below keeps its contrast
+            avatarStyle: `opacity: ${opacity};${photoStyle}`,
+            photoClass: `avatar-photo ${user.hasDraft ? 'editing' : ''}`,
+            photoStyle: photoStyle,
+            badge: tier ? tier.badge : null,
+            badgeLabel: tier ? tier.label : null,
+            nudgeLabel: formatLabel(LABELS.sendNudge, user.userName || LABELS.thisUser),
+            showMobileIcon: user.isMobile
+        };
     }
     
     get showAdditionalCount() {
-        return !this.isMobile && this.visibleUsers.length > 5;
+        return !this.isMobile && this.shownUsers.length > 5;
     }
     
     get additionalCount() {
-        return this.visibleUsers.length > 5 ? this.visibleUsers.length - 5 : 0;
+        return this.shownUsers.length > 5 ? this.shownUsers.length - 5 : 0;
+    }
+
+    /**
+     * Everyone on the record for the "+X more" popover, in the same order as the avatars
+     */
+    get overflowUsers() {
+        return this.sortedUsers.map(user => {
+            const decorated = this.decorateUser(user);
+            const activity = this.getActivityLabel(user.draftType);
+            return {
+                ...decorated,
+                draftLabel: user.hasDraft ? capitalize(activity) : null,
+                deviceLabel: user.isMobile ? LABELS.mobile : LABELS.desktop,
+                deviceIcon: user.isMobile ? 'utility:phone_portrait' : 'utility:desktop',
+                lastSeenLabel: this.formatLastSeen(user),
+                itemLabel: decorated.accessibleLabel
+            };
+        });
+    }
+
+    get overflowExpanded() {
+        return this.isOverflowOpen ? 'true' : 'false';
+    }
+
+    get overflowChipLabel() {
+        return formatLabel(LABELS.showAllViewers, this.shownUsers.length, this.recordLabel);
+    }
+
+    get additionalCountLabel() {
+        return formatLabel(LABELS.moreCount, this.additionalCount);
+    }
+
+    // The popover opens under the chip at the end of the avatar row, so its nubbin sits on that side
+    get overflowPopoverClass() {
+        return `slds-popover slds-popover_panel overflow-popover ${IS_RTL ? 'slds-nubbin_top-left' : 'slds-nubbin_top-right'}`;
+    }
+
+    toggleOverflow() {
+        if (this.isOverflowOpen) {
+            this.closeOverflow();
+        } else {
+            this.isOverflowOpen = true;
+            this.focusOverflowOnRender = true;
+        }
+    }
+
+    closeOverflow() {
+        this.isOverflowOpen = false;
+        // Give focus back to the chip that opened the popover
+        const chip = this.template.querySelector('.overflow-chip');
+        if (chip) chip.focus();
+    }
+
+    handleOverflowKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeOverflow();
+        }
     }
     
+    /**
+     * One entry per viewer; the template isolates each name so a Hebrew name in an
+     * English list (or the reverse) doesn't reorder its neighbours
+     */
     get mobileUserList() {
-        return this.visibleUsers.map(user => {
-            let name = user.userName || 'Unknown';
-            // Use black filled square for mobile users, circle for others
-            const indicator = user.isMobile ? '■' : (user.state === 'active' ? '●' : '○');
-            const draft = user.hasDraft ? ' ✏️' : '';
-            const mobile = user.isMobile ? ' 📱' : '';
-            return `${indicator} ${name}${draft}${mobile}`;
-        }).join(', ');
+        const users = this.sortedUsers;
+        return users.map((user, index) => ({
+            userId: user.userId,
+            name: user.userName || LABELS.unknownUser,
+            // Black filled square for mobile users, circle for others
+            indicator: user.isMobile ? '■' : (user.state === 'active' ? '●' : '○'),
+            suffix: `${user.hasDraft ? ' ✏️' : ''}${user.isMobile ? ' 📱' : ''}`,
+            // The symbols are hidden from screen readers, which get the state instead
+            stateLabel: [this.getStateLabel(user), user.isMobile ? LABELS.onMobile : null].filter(Boolean).join(', '),
+            separator: index < users.length - 1
+        }));
     }
 
     getStateLabel(user) {
         // Mobile users always show as Active until they are removed
+        const editingLabel = capitalize(this.getActivityLabel(user.draftType));
+
         if (user.isMobile) {
-            return user.hasDraft ? 'Editing' : 'Active';
+            return user.hasDraft ? editingLabel : LABELS.stateActive;
         }
 
         if (user.state === 'active') {
-            return user.hasDraft ? 'Editing' : 'Active';
+            return user.hasDraft ? editingLabel : LABELS.stateActive;
         }
-        return `Idle since ${this.formatIdleTime(user.lastSeen)}`;
+        return formatLabel(LABELS.idleSince, formatTime(user.lastSeen));
     }
     
-    formatIdleTime(lastSeenDate) {
-        if (!lastSeenDate) return '';
-        const date = new Date(lastSeenDate);
-        return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    /**
+     * "drafting an email", "logging a call"... from the registered draft sources
+     */
+    getActivityLabel(draftType) {
+        return (draftType && this.settings?.draftActivityLabels?.[draftType]) || LABELS.activityEditing;
+    }
+
+    formatLastSeen(user) {
+        if (!user.lastSeen) return '';
+        if (user.state === 'active' && !user.isMobile) return LABELS.activeNow;
+        const seconds = Math.max(0, Math.round((Date.now() - new Date(user.lastSeen).getTime()) / 1000));
+        return seconds < 60 ? LABELS.seenJustNow : formatLabel(LABELS.seenAgo, formatRelativeTime(user.lastSeen));
     }
 
     log(message, ...args) {
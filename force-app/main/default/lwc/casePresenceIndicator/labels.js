@@ -0,0 +1,250 @@
+import alsoViewing from '@salesforce/label/c.CasePresence_AlsoViewing';
+import recentlyViewedBy from '@salesforce/label/c.CasePresence_RecentlyViewedBy';
+import hadDraft from '@salesforce/label/c.CasePresence_HadDraft';
+import mobile from '@salesforce/label/c.CasePresence_Mobile';
+import desktop from '@salesforce/label/c.CasePresence_Desktop';
+import close from '@salesforce/label/c.CasePresence_Close';
+import dismiss from '@salesforce/label/c.CasePresence_Dismiss';
+import refresh from '@salesforce/label/c.CasePresence_Refresh';
+import send from '@salesforce/label/c.CasePresence_Send';
+import cancel from '@salesforce/label/c.CasePresence_Cancel';
+import reply from '@salesforce/label/c.CasePresence_Reply';
+import nudgeFrom from '@salesforce/label/c.CasePresence_NudgeFrom';
+import nudgeReplyFrom from '@salesforce/label/c.CasePresence_NudgeReplyFrom';
+import messageLabel from '@salesforce/label/c.CasePresence_MessageLabel';
+import messagePlaceholder from '@salesforce/label/c.CasePresence_MessagePlaceholder';
+import nudgePreset1 from '@salesforce/label/c.CasePresence_NudgePreset1';
+import nudgePreset2 from '@salesforce/label/c.CasePresence_NudgePreset2';
+import nudgePreset3 from '@salesforce/label/c.CasePresence_NudgePreset3';
+import quickReply1 from '@salesforce/label/c.CasePresence_QuickReply1';
+import quickReply2 from '@salesforce/label/c.CasePresence_QuickReply2';
+import quickReply3 from '@salesforce/label/c.CasePresence_QuickReply3';
+import nudgeTitle from '@salesforce/label/c.CasePresence_NudgeTitle';
+import nudgeReplyTitle from '@salesforce/label/c.CasePresence_NudgeReplyTitle';
+import nudgeSentTitle from '@salesforce/label/c.CasePresence_NudgeSentTitle';
+import nudgeSentMessage from '@salesforce/label/c.CasePresence_NudgeSentMessage';
+import nudgeFailedTitle from '@salesforce/label/c.CasePresence_NudgeFailedTitle';
+import nudgeFailedMessage from '@salesforce/label/c.CasePresence_NudgeFailedMessage';
+import sendNudge from '@salesforce/label/c.CasePresence_SendNudge';
+import nudgeHint from '@salesforce/label/c.CasePresence_NudgeHint';
+import someone from '@salesforce/label/c.CasePresence_Someone';
+import thisUser from '@salesforce/label/c.CasePresence_ThisUser';
+import unknownUser from '@salesforce/label/c.CasePresence_UnknownUser';
+import conflictMessage from '@salesforce/label/c.CasePresence_ConflictMessage';
+import conflictSentEmail from '@salesforce/label/c.CasePresence_ConflictSentEmail';
+import conflictChangedFields from '@salesforce/label/c.CasePresence_ConflictChangedFields';
+import conflictSaved from '@salesforce/label/c.CasePresence_ConflictSaved';
+import claimedBy from '@salesforce/label/c.CasePresence_ClaimedBy';
+import myClaim from '@salesforce/label/c.CasePresence_MyClaim';
+import override from '@salesforce/label/c.CasePresence_Override';
+import release from '@salesforce/label/c.CasePresence_Release';
+import claimButton from '@salesforce/label/c.CasePresence_ClaimButton';
+import claimFailedTitle from '@salesforce/label/c.CasePresence_ClaimFailedTitle';
+import claimFailedMessage from '@salesforce/label/c.CasePresence_ClaimFailedMessage';
+import claimOverriddenTitle from '@salesforce/label/c.CasePresence_ClaimOverriddenTitle';
+import claimOverriddenMessage from '@salesforce/label/c.CasePresence_ClaimOverriddenMessage';
+import userJoinedTitle from '@salesforce/label/c.CasePresence_UserJoinedTitle';
+import userJoinedMessage from '@salesforce/label/c.CasePresence_UserJoinedMessage';
+import userLeftTitle from '@salesforce/label/c.CasePresence_UserLeftTitle';
+import userLeftMessage from '@salesforce/label/c.CasePresence_UserLeftMessage';
+import startedEditingTitle from '@salesforce/label/c.CasePresence_StartedEditingTitle';
+import startedEditingMessage from '@salesforce/label/c.CasePresence_StartedEditingMessage';
+import stoppedEditingTitle from '@salesforce/label/c.CasePresence_StoppedEditingTitle';
+import stoppedEditingMessage from '@salesforce/label/c.CasePresence_StoppedEditingMessage';
+import invisibleOnTitle from '@salesforce/label/c.CasePresence_InvisibleOnTitle';
+import invisibleOnMessage from '@salesforce/label/c.CasePresence_InvisibleOnMessage';
+import invisibleOffTitle from '@salesforce/label/c.CasePresence_InvisibleOffTitle';
+import invisibleOffMessage from '@salesforce/label/c.CasePresence_InvisibleOffMessage';
+import invisibleModeTitle from '@salesforce/label/c.CasePresence_InvisibleModeTitle';
+import invisibleModeError from '@salesforce/label/c.CasePresence_InvisibleModeError';
+import goInvisible from '@salesforce/label/c.CasePresence_GoInvisible';
+import becomeVisible from '@salesforce/label/c.CasePresence_BecomeVisible';
+import invisibleBanner from '@salesforce/label/c.CasePresence_InvisibleBanner';
+import connectionLive from '@salesforce/label/c.CasePresence_ConnectionLive';
+import connectionReconnecting from '@salesforce/label/c.CasePresence_ConnectionReconnecting';
+import connectionOffline from '@salesforce/label/c.CasePresence_ConnectionOffline';
+import connectionDegraded from '@salesforce/label/c.CasePresence_ConnectionDegraded';
+import connectionLiveTooltip from '@salesforce/label/c.CasePresence_ConnectionLiveTooltip';
+import connectionReconnectingTooltip from '@salesforce/label/c.CasePresence_ConnectionReconnectingTooltip';
+import connectionOfflineTooltip from '@salesforce/label/c.CasePresence_ConnectionOfflineTooltip';
+import connectionPublishFailingTooltip from '@salesforce/label/c.CasePresence_ConnectionPublishFailingTooltip';
+import connectionNoEventsTooltip from '@salesforce/label/c.CasePresence_ConnectionNoEventsTooltip';
+import onlyYou from '@salesforce/label/c.CasePresence_OnlyYou';
+import onlyYouInvisible from '@salesforce/label/c.CasePresence_OnlyYouInvisible';
+import presenceStatus from '@salesforce/label/c.CasePresence_PresenceStatus';
+import presenceUnavailable from '@salesforce/label/c.CasePresence_PresenceUnavailable';
+import presenceLoadFailed from '@salesforce/label/c.CasePresence_PresenceLoadFailed';
+import stateActive from '@salesforce/label/c.CasePresence_StateActive';
+import idleSince from '@salesforce/label/c.CasePresence_IdleSince';
+import activeNow from '@salesforce/label/c.CasePresence_ActiveNow';
+import seenJustNow from '@salesforce/label/c.CasePresence_SeenJustNow';
+import seenAgo from '@salesforce/label/c.CasePresence_SeenAgo';
+import activityEditing from '@salesforce/label/c.CasePresence_ActivityEditing';
+import leftAt from '@salesforce/label/c.CasePresence_LeftAt';
+import activeFor from '@salesforce/label/c.CasePresence_ActiveFor';
+import idleFor from '@salesforce/label/c.CasePresence_IdleFor';
+import moreCount from '@salesforce/label/c.CasePresence_MoreCount';
+import showAllViewers from '@salesforce/label/c.CasePresence_ShowAllViewers';
+import recordFallback from '@salesforce/label/c.CasePresence_RecordFallback';
+import avatarListLabel from '@salesforce/label/c.CasePresence_AvatarListLabel';
+import avatarKeyboardHint from '@salesforce/label/c.CasePresence_AvatarKeyboardHint';
+import onMobile from '@salesforce/label/c.CasePresence_OnMobile';
+import announcementsMenu from '@salesforce/label/c.CasePresence_AnnouncementsMenu';
+import announceAll from '@salesforce/label/c.CasePresence_AnnounceAll';
+import announceEdits from '@salesforce/label/c.CasePresence_AnnounceEdits';
+import announceOff from '@salesforce/label/c.CasePresence_AnnounceOff';
+import notificationsMenu from '@salesforce/label/c.CasePresence_NotificationsMenu';
+import alertsSubheader from '@salesforce/label/c.CasePresence_AlertsSubheader';
+import muteSubheader from '@salesforce/label/c.CasePresence_MuteSubheader';
+import muteUser from '@salesforce/label/c.CasePresence_MuteUser';
+import browserAlerts from '@salesforce/label/c.CasePresence_BrowserAlerts';
+import browserAlertsBlocked from '@salesforce/label/c.CasePresence_BrowserAlertsBlocked';
+import quietHoursMenu from '@salesforce/label/c.CasePresence_QuietHoursMenu';
+import quietHoursSet from '@salesforce/label/c.CasePresence_QuietHoursSet';
+import quietHoursTitle from '@salesforce/label/c.CasePresence_QuietHoursTitle';
+import quietHoursStart from '@salesforce/label/c.CasePresence_QuietHoursStart';
+import quietHoursEnd from '@salesforce/label/c.CasePresence_QuietHoursEnd';
+import save from '@salesforce/label/c.CasePresence_Save';
+import turnOff from '@salesforce/label/c.CasePresence_TurnOff';
+import digestTitle from '@salesforce/label/c.CasePresence_DigestTitle';
+import preferencesMenu from '@salesforce/label/c.CasePresence_PreferencesMenu';
+import toastsSubheader from '@salesforce/label/c.CasePresence_ToastsSubheader';
+import toastJoin from '@salesforce/label/c.CasePresence_ToastJoin';
+import toastLeave from '@salesforce/label/c.CasePresence_ToastLeave';
+import toastEditStart from '@salesforce/label/c.CasePresence_ToastEditStart';
+import toastEditStop from '@salesforce/label/c.CasePresence_ToastEditStop';
+import playSounds from '@salesforce/label/c.CasePresence_PlaySounds';
+import displaySubheader from '@salesforce/label/c.CasePresence_DisplaySubheader';
+import compactDisplay from '@salesforce/label/c.CasePresence_CompactDisplay';
+import showIdleUsers from '@salesforce/label/c.CasePresence_ShowIdleUsers';
+import resetPreferences from '@salesforce/label/c.CasePresence_ResetPreferences';
+import preferencesErrorTitle from '@salesforce/label/c.CasePresence_PreferencesErrorTitle';
+import preferencesError from '@salesforce/label/c.CasePresence_PreferencesError';
+
+/**
+ * Custom labels used by casePresenceIndicator (translated in force-app/main/default/translations)
+ */
+export default {
+    alsoViewing,
+    recentlyViewedBy,
+    hadDraft,
+    mobile,
+    desktop,
+    close,
+    dismiss,
+    refresh,
+    send,
+    cancel,
+    reply,
+    nudgeFrom,
+    nudgeReplyFrom,
+    messageLabel,
+    messagePlaceholder,
+    nudgePreset1,
+    nudgePreset2,
+    nudgePreset3,
+    quickReply1,
+    quickReply2,
+    quickReply3,
+    nudgeTitle,
+    nudgeReplyTitle,
+    nudgeSentTitle,
+    nudgeSentMessage,
+    nudgeFailedTitle,
+    nudgeFailedMessage,
+    sendNudge,
+    nudgeHint,
+    someone,
+    thisUser,
+    unknownUser,
+    conflictMessage,
+    conflictSentEmail,
+    conflictChangedFields,
+    conflictSaved,
+    claimedBy,
+    myClaim,
+    override,
+    release,
+    claimButton,
+    claimFailedTitle,
+    claimFailedMessage,
+    claimOverriddenTitle,
+    claimOverriddenMessage,
+    userJoinedTitle,
+    userJoinedMessage,
+    userLeftTitle,
+    userLeftMessage,
+    startedEditingTitle,
+    startedEditingMessage,
+    stoppedEditingTitle,
+    stoppedEditingMessage,
+    invisibleOnTitle,
+    invisibleOnMessage,
+    invisibleOffTitle,
+    invisibleOffMessage,
+    invisibleModeTitle,
+    invisibleModeError,
+    goInvisible,
+    becomeVisible,
+    invisibleBanner,
+    connectionLive,
+    connectionReconnecting,
+    connectionOffline,
+    connectionDegraded,
+    connectionLiveTooltip,
+    connectionReconnectingTooltip,
+    connectionOfflineTooltip,
+    connectionPublishFailingTooltip,
+    connectionNoEventsTooltip,
+    onlyYou,
+    onlyYouInvisible,
+    presenceStatus,
+    presenceUnavailable,
+    presenceLoadFailed,
+    stateActive,
+    idleSince,
+    activeNow,
+    seenJustNow,
+    seenAgo,
+    activityEditing,
+    leftAt,
+    activeFor,
+    idleFor,
+    moreCount,
+    showAllViewers,
+    recordFallback,
+    avatarListLabel,
+    avatarKeyboardHint,
+    onMobile,
+    announcementsMenu,
+    announceAll,
+    announceEdits,
+    announceOff,
+    notificationsMenu,
+    alertsSubheader,
+    muteSubheader,
+    muteUser,
+    browserAlerts,
+    browserAlertsBlocked,
+    quietHoursMenu,
+    quietHoursSet,
+    quietHoursTitle,
+    quietHoursStart,
+    quietHoursEnd,
+    save,
+    turnOff,
+    digestTitle,
+    preferencesMenu,
+    toastsSubheader,
+    toastJoin,
+    toastLeave,
+    toastEditStart,
+    toastEditStop,
+    playSounds,
+    displaySubheader,
+    compactDisplay,
+    showIdleUsers,
+    resetPreferences,
+    preferencesErrorTitle,
+    preferencesError
+};
@@ -0,0 +1,346 @@
+import { LightningElement, api, wire } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { IsConsoleNavigation, openTab } from 'lightning/platformWorkspaceApi';
+import getSettings from '@salesforce/apex/CasePresencePublisher.getSettings';
+import getTeamRadar from '@salesforce/apex/CasePresenceQuery.getTeamRadar';
+import { register, unregister } from 'c/presenceCoordinator';
+import { formatLabel, formatDuration, capitalize } from 'c/presenceI18n';
+import LABELS from './labels';
+
+// Higher wins when merging a user's sessions
+const STATE_PRIORITY = { active: 3, idle: 2, gone: 0 };
+const TICK_MS = 30000;
+// Wait for a burst of events on new records before reloading their names
+const RELOAD_DELAY_MS = 2000;
+
+/**
+ * Team radar for supervisors (app page / utility bar): every case someone is on right now,
+ * who's there, who's editing and for how long. Seeded from Case_Presence_Log__c and kept
+ * live from Case_Presence__e through the shared presenceCoordinator subscription.
+ */
+export default class CasePresenceRadar extends NavigationMixin(LightningElement) {
+    @api casesOnly = true;
+
+    @wire(IsConsoleNavigation) isConsoleNavigation;
+
+    settings;
+    debugLogging = false;
+    presenceExpirationMs = 10 * 60 * 1000;
+
+    // recordId -> { recordId, objectApiName, recordName, subject, users: { userId -> { ..., since, sessions } } }
+    radar = {};
+    now = Date.now();
+    isLoading = false;
+    error;
+    labels = LABELS;
+
+    isComponentActive = false;
+    coordinatorId = `radar-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    tickInterval = null;
+    reloadTimeout = null;
+
+    async connectedCallback() {
+        this.isComponentActive = true;
+
+        try {
+            this.settings = await getSettings();
+            this.debugLogging = this.settings?.enableDebugLogging || false;
+            this.presenceExpirationMs = ((this.settings?.presenceExpirationMinutes || 10) * 60 * 1000);
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+        if (!this.isComponentActive) return;
+
+        await this.loadRadar();
+        if (!this.isComponentActive) return;
+
+        // No heartbeat: the radar only listens
+        register(this.coordinatorId, {
+            onEvent: payload => this.handlePresenceEvent(payload),
+            // Events may have been missed while empApi was reconnecting
+            onResync: () => this.loadRadar(),
+            debugLogging: this.debugLogging
+        });
+
+        this.tickInterval = setInterval(() => {
+            if (!this.isComponentActive) return;
+            this.now = Date.now();
+            this.pruneExpired();
+        }, TICK_MS);
+    }
+
+    disconnectedCallback() {
+        this.isComponentActive = false;
+        unregister(this.coordinatorId);
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+        if (this.reloadTimeout) {
+            clearTimeout(this.reloadTimeout);
+            this.reloadTimeout = null;
+        }
+    }
+
+    async loadRadar() {
+        this.isLoading = true;
+        try {
+            const records = await getTeamRadar();
+            if (!this.isComponentActive) return;
+
+            const radar = {};
+            (records || []).forEach(record => {
+                const users = {};
+                (record.users || []).forEach(user => {
+                    const sessions = {};
+                    (user.sessions || []).forEach(session => {
+                        sessions[session.sessionId || user.userId] = {
+                            state: session.state,
+                            lastSeen: new Date(session.lastSeen),
+                            hasDraft: session.hasDraft || false,
+                            draftType: session.draftType || null
+                        };
+                    });
+                    users[user.userId] = {
+                        userId: user.userId,
+                        userName: user.userName,
+                        userPhotoUrl: user.userPhotoUrl,
+                        since: new Date(user.since || user.lastSeen),
+                        sessions
+                    };
+                });
+                radar[record.recordId] = {
+                    recordId: record.recordId,
+                    objectApiName: record.objectApiName,
+                    recordName: record.recordName,
+                    subject: record.subject,
+                    users
+                };
+            });
+
+            this.radar = radar;
+            this.now = Date.now();
+            this.error = null;
+            this.log('📡 Radar loaded:', Object.keys(radar).length, 'record(s)');
+        } catch (error) {
+            console.error('Error loading team radar:', error);
+            this.error = (error && error.body && error.body.message) || LABELS.radarLoadFailed;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handlePresenceEvent(payload) {
+        // Events from older clients only carry CaseId__c
+        const recordId = payload.RecordId__c || payload.CaseId__c;
+        const userId = payload.UserId__c;
+        if (!recordId || !userId) return;
+
+        // Events from components without session tracking fall back to one session per user
+        const sessionKey = payload.SessionId__c || userId;
+        const existingRecord = this.radar[recordId];
+        const radar = { ...this.radar };
+
+        if (payload.State__c === 'gone') {
+            const existingUser = existingRecord && existingRecord.users[userId];
+            if (!existingUser) return;
+
+            const sessions = { ...existingUser.sessions };
+            delete sessions[sessionKey];
+            const users = { ...existingRecord.users };
+            if (Object.keys(sessions).length) {
+                users[userId] = { ...existingUser, sessions };
+            } else {
+                delete users[userId];
+            }
+
+            if (Object.keys(users).length) {
+                radar[recordId] = { ...existingRecord, users };
+            } else {
+                delete radar[recordId];
+            }
+        } else {
+            const seenAt = payload.Timestamp__c ? new Date(payload.Timestamp__c) : new Date();
+            const record = existingRecord || {
+                recordId,
+                // Older clients only sent Case events
+                objectApiName: payload.ObjectApiName__c || 'Case',
+                recordName: payload.RecordName__c || payload.CaseNumber__c,
+                subject: null,
+                users: {}
+            };
+            const existingUser = record.users[userId];
+            const user = {
+                userId,
+                userName: payload.UserName__c || (existingUser && existingUser.userName),
+                userPhotoUrl: payload.UserPhotoUrl__c || (existingUser && existingUser.userPhotoUrl),
+                since: existingUser ? existingUser.since : seenAt,
+                sessions: {
+                    ...(existingUser ? existingUser.sessions : {}),
+                    [sessionKey]: {
+                        state: payload.State__c,
+                        lastSeen: seenAt,
+                        hasDraft: payload.HasDraft__c || false,
+                        draftType: payload.DraftType__c || null
+                    }
+                }
+            };
+            radar[recordId] = { ...record, users: { ...record.users, [userId]: user } };
+
+            // Events don't carry the case subject
+            if (!existingRecord) {
+                this.scheduleReload();
+            }
+        }
+
+        this.radar = radar;
+        this.now = Date.now();
+    }
+
+    /**
+     * Drop sessions that stopped sending heartbeats (tab crashed, laptop closed)
+     */
+    pruneExpired() {
+        const cutoff = Date.now() - this.presenceExpirationMs;
+        let changed = false;
+        const radar = {};
+
+        Object.values(this.radar).forEach(record => {
+            const users = {};
+            Object.values(record.users).forEach(user => {
+                const sessions = {};
+                Object.entries(user.sessions).forEach(([key, session]) => {
+                    if (new Date(session.lastSeen).getTime() > cutoff) {
+                        sessions[key] = session;
+                    } else {
+                        changed = true;
+                    }
+                });
+                if (Object.keys(sessions).length) {
+                    users[user.userId] = { ...user, sessions };
+                }
+            });
+            if (Object.keys(users).length) {
+                radar[record.recordId] = { ...record, users };
+            }
+        });
+
+        if (changed) {
+            this.log('🧹 Pruned expired sessions');
+            this.radar = radar;
+        }
+    }
+
+    scheduleReload() {
+        if (this.reloadTimeout) return;
+        this.reloadTimeout = setTimeout(() => {
+            this.reloadTimeout = null;
+            if (this.isComponentActive) this.loadRadar();
+        }, RELOAD_DELAY_MS);
+    }
+
+    handleRefresh() {
+        this.loadRadar();
+    }
+
+    async handleOpenRecord(event) {
+        event.preventDefault();
+        const recordId = event.currentTarget.dataset.recordid;
+
+        if (this.isConsoleNavigation) {
+            try {
+                await openTab({ recordId, focus: true });
+                return;
+            } catch (error) {
+                console.error('Error opening console tab:', error);
+            }
+        }
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId, actionName: 'view' }
+        });
+    }
+
+    get rows() {
+        return Object.values(this.radar)
+            .filter(record => !this.casesOnly || record.objectApiName === 'Case')
+            .map(record => {
+                const viewers = Object.values(record.users)
+                    .map(user => this.buildViewer(user))
+                    .sort((a, b) => a.since - b.since);
+                const draftCount = viewers.filter(viewer => viewer.hasDraft).length;
+                const hasDraftConflict = draftCount >= 2;
+                return {
+                    recordId: record.recordId,
+                    recordName: record.recordName || record.recordId,
+                    subject: record.subject,
+                    viewers,
+                    viewerCount: viewers.length,
+                    draftCount,
+                    hasDraftConflict,
+                    conflictLabel: formatLabel(LABELS.radarDrafting, draftCount),
+                    rowClass: hasDraftConflict ? 'radar-row radar-row_conflict' : 'radar-row'
+                };
+            })
+            // Simultaneous drafts first, then the busiest records
+            .sort((a, b) => (b.draftCount - a.draftCount) || (b.viewerCount - a.viewerCount));
+    }
+
+    buildViewer(user) {
+        let winner = null;
+        let latestDraft = null;
+
+        Object.values(user.sessions).forEach(session => {
+            const seen = new Date(session.lastSeen);
+            if (session.hasDraft && (!latestDraft || seen > new Date(latestDraft.lastSeen))) latestDraft = session;
+
+            const priority = STATE_PRIORITY[session.state] ?? 1;
+            const winnerPriority = winner ? (STATE_PRIORITY[winner.state] ?? 1) : -1;
+            if (priority > winnerPriority || (priority === winnerPriority && seen > new Date(winner.lastSeen))) {
+                winner = session;
+            }
+        });
+
+        const since = new Date(user.since).getTime();
+        const state = winner ? winner.state : 'active';
+        const hasDraft = !!latestDraft;
+        let statusLabel = state === 'idle' ? LABELS.radarIdle : LABELS.radarViewing;
+        if (hasDraft) {
+            statusLabel = capitalize(this.getActivityLabel(latestDraft.draftType));
+        }
+
+        return {
+            userId: user.userId,
+            userName: user.userName || LABELS.unknownUser,
+            userPhotoUrl: user.userPhotoUrl,
+            since,
+            hasDraft,
+            statusLabel,
+            durationLabel: formatDuration(Math.max(0, Math.round((this.now - since) / 1000))),
+            itemClass: hasDraft ? 'radar-viewer radar-viewer_editing' : (state === 'idle' ? 'radar-viewer radar-viewer_idle' : 'radar-viewer')
+        };
+    }
+
+    get hasRows() {
+        return this.rows.length > 0;
+    }
+
+    get summaryLabel() {
+        const rows = this.rows;
+        const conflicts = rows.filter(row => row.hasDraftConflict).length;
+        const label = rows.length === 1
+            ? LABELS.radarSummaryOne
+            : formatLabel(LABELS.radarSummaryOther, rows.length);
+        return conflicts ? formatLabel(LABELS.radarSummaryConflicts, label, conflicts) : label;
+    }
+
+    getActivityLabel(draftType) {
+        return (draftType && this.settings?.draftActivityLabels?.[draftType]) || LABELS.activityEditing;
+    }
+
+    log(message, ...args) {
+        if (this.debugLogging) {
+            console.log('[Case Presence]', message, ...args);
+        }
+    }
+}
@@ -0,0 +1,32 @@
+import teamRadar from '@salesforce/label/c.CasePresence_TeamRadar';
+import radarEmpty from '@salesforce/label/c.CasePresence_RadarEmpty';
+import radarLoadFailed from '@salesforce/label/c.CasePresence_RadarLoadFailed';
+import radarConflictTooltip from '@salesforce/label/c.CasePresence_RadarConflictTooltip';
+import radarDrafting from '@salesforce/label/c.CasePresence_RadarDrafting';
+import radarIdle from '@salesforce/label/c.CasePresence_RadarIdle';
+import radarViewing from '@salesforce/label/c.CasePresence_RadarViewing';
+import radarSummaryOne from '@salesforce/label/c.CasePresence_RadarSummaryOne';
+import radarSummaryOther from '@salesforce/label/c.CasePresence_RadarSummaryOther';
+import radarSummaryConflicts from '@salesforce/label/c.CasePresence_RadarSummaryConflicts';
+import refresh from '@salesforce/label/c.CasePresence_Refresh';
+import activityEditing from '@salesforce/label/c.CasePresence_ActivityEditing';
+import unknownUser from '@salesforce/label/c.CasePresence_UnknownUser';
+
+/**
+ * Custom labels used by casePresenceRadar (translated in force-app/main/default/translations)
+ */
+export default {
+    teamRadar,
+    radarEmpty,
+    radarLoadFailed,
+    radarConflictTooltip,
+    radarDrafting,
+    radarIdle,
+    radarViewing,
+    radarSummaryOne,
+    radarSummaryOther,
+    radarSummaryConflicts,
+    refresh,
+    activityEditing,
+    unknownUser
+};
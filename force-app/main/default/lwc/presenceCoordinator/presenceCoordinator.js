@@ -0,0 +1,588 @@
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import publishPresenceBatch from '@salesforce/apex/CasePresencePublisher.publishPresenceBatch';
+
+/**
+ * Cross-tab coordinator for casePresenceIndicator.
+ *
+ * Every indicator on a page (e.g. 10-20 console subtabs) shares this module instance.
+ * Across browser tabs a leader is elected through a localStorage lease:
+ * - Only the leader holds the empApi subscriptions (presence and nudges) and fans events out over BroadcastChannel
+ * - Followers post their heartbeats to the leader, which publishes the heartbeats of every
+ *   open case in a single Apex call on its own heartbeat tick
+ * - Members decide on each tick whether a keepalive is due (they back off while nothing changes),
+ *   so the tick only bounds how late a keepalive can be
+ * - When empApi reports an error or the browser comes back online, the leader resubscribes with
+ *   exponential backoff from the last replay id it saw, then asks every member to resync
+ * - Heartbeats that fail to publish are kept and retried with backoff on later ticks
+ * - A leader that steps down hands its queued heartbeats to the new leader; the last page to
+ *   leave publishes them itself
+ * - Members are told the connection status: live, reconnecting, offline or degraded
+ *   (publishes failing, or our own published presence never came back as an event)
+ * - One shared visibility poll replaces the per-instance 2-second poll
+ *
+ * If BroadcastChannel or localStorage is unavailable, each page simply leads itself.
+ */
+
+const CHANNEL_NAME = '/event/Case_Presence__e';
+const NUDGE_CHANNEL_NAME = '/event/Case_Presence_Nudge__e';
+const BROADCAST_NAME = 'casePresenceCoordinator';
+const LEADER_KEY = 'casePresenceLeader';
+const LEASE_MS = 10000;
+const LEASE_RENEW_MS = 4000;
+const VISIBILITY_POLL_MS = 2000;
+const DEFAULT_HEARTBEAT_MS = 240000;
+const MAX_TICK_MS = 15000;
+const RESUBSCRIBE_BASE_MS = 1000;
+const RESUBSCRIBE_MAX_MS = 60000;
+const PUBLISH_RETRY_BASE_MS = 15000;
+const PUBLISH_RETRY_MAX_MS = 120000;
+const PUBLISH_RETRY_ATTEMPTS = 4;
+// Resubscribe attempts after which the connection is reported as offline rather than reconnecting
+const OFFLINE_AFTER_ATTEMPTS = 4;
+const DEFAULT_PRESENCE_EXPIRATION_MS = 600000;
+
+const contextId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Platform Event channels the leader subscribes to, and how their events reach members
+const EVENT_CHANNELS = {
+    [CHANNEL_NAME]: { type: 'event', deliver: payload => deliver(payload) },
+    [NUDGE_CHANNEL_NAME]: { type: 'nudge', deliver: payload => deliverNudge(payload) }
+};
+
+// sessionId -> { onEvent, onNudge, onResync, onConnectionChange, onInvisibleModeChange, onVisibilityPoll,
+//                getHeartbeat, heartbeatMs, presenceExpirationMs, debugLogging }
+const members = new Map();
+// sessionId -> heartbeat waiting to be published: from follower tabs, or a failed publish to retry
+const pendingHeartbeats = new Map();
+// channel -> empApi subscription held by the leader
+const subscriptions = new Map();
+// channel -> replay id of the last event seen, so a resubscription catches up on missed events
+const replayIds = new Map();
+
+let channel = null;
+let leader = false;
+let errorHandlerRegistered = false;
+let leaseTimer = null;
+let visibilityTimer = null;
+let heartbeatTimer = null;
+let heartbeatMs = null;
+let resubscribeTimer = null;
+let resubscribeAttempts = 0;
+let needsResync = false;
+let publishFailures = 0;
+let publishRetryAt = 0;
+// Subscription state as the leader sees it ('live', 'reconnecting' or 'offline'); followers get it over the channel
+let streamStatus = 'reconnecting';
+// First successful publish since the last presence event arrived; our own events should come back well before expiry
+let unansweredPublishAt = null;
+// Last { status, reason } handed to members
+let connectionStatus = null;
+let debugLogging = false;
+
+/**
+ * Join the coordinator. The first member starts leader election and the shared timers.
+ */
+export function register(sessionId, member) {
+    members.set(sessionId, member);
+    if (member.debugLogging) debugLogging = true;
+
+    if (members.size === 1) {
+        start();
+    }
+    scheduleHeartbeat();
+}
+
+/**
+ * Leave the coordinator. The last member releases leadership and stops all timers.
+ */
+export function unregister(sessionId) {
+    if (!members.delete(sessionId)) return;
+
+    if (members.size === 0) {
+        stop();
+    } else {
+        scheduleHeartbeat();
+    }
+}
+
+export function isLeader() {
+    return leader;
+}
+
+/**
+ * Current connection health: { status: 'live' | 'reconnecting' | 'offline' | 'degraded', reason }
+ * reason is 'publishFailing' or 'noEvents' when degraded, otherwise null
+ */
+export function getConnectionStatus() {
+    return connectionStatus || computeConnectionStatus();
+}
+
+/**
+ * Invisible mode was turned on or off in one indicator: tell every indicator in every tab
+ */
+export function shareInvisibleMode(invisible) {
+    deliverInvisibleMode(invisible);
+    if (channel) {
+        channel.postMessage({ type: 'invisible', invisible });
+    }
+}
+
+/**
+ * Members report the outcome of their own presence publishes, which feeds the connection status
+ */
+export function reportPublishResult(success) {
+    if (success) {
+        publishFailures = 0;
+        publishRetryAt = 0;
+        if (!unansweredPublishAt) unansweredPublishAt = Date.now();
+    } else {
+        publishFailures++;
+    }
+    updateConnectionStatus();
+}
+
+/**
+ * Run an Apex call, retrying failures with exponential backoff (1s, 2s, 4s...)
+ * as long as shouldRetry() still holds, e.g. the component is connected and nothing newer was sent
+ */
+export async function retryWithBackoff(task, shouldRetry = () => true, attempts = PUBLISH_RETRY_ATTEMPTS) {
+    let attempt = 1;
+    for (;;) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= attempts || !shouldRetry()) throw error;
+            await wait(RESUBSCRIBE_BASE_MS * 2 ** (attempt - 1));
+            if (!shouldRetry()) throw error;
+            attempt++;
+        }
+    }
+}
+
+function start() {
+    if (typeof BroadcastChannel !== 'undefined' && canUseLocalStorage()) {
+        try {
+            channel = new BroadcastChannel(BROADCAST_NAME);
+            channel.onmessage = handleMessage;
+        } catch (error) {
+            channel = null;
+        }
+    }
+
+    electLeader();
+    leaseTimer = setInterval(() => {
+        electLeader();
+        updateConnectionStatus();
+    }, LEASE_RENEW_MS);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', updateConnectionStatus);
+
+    // Followers learn the subscription state from the leader
+    if (channel && !leader) {
+        channel.postMessage({ type: 'statusRequest' });
+    }
+
+    // Safety net for iframe focus issues, e.g. Email Composer.
+    // If focus is inside an iframe (like CKEditor), the 'blur' event might not bubble to us.
+    visibilityTimer = setInterval(() => {
+        members.forEach(member => member.onVisibilityPoll && member.onVisibilityPoll());
+    }, VISIBILITY_POLL_MS);
+}
+
+function stop() {
+    clearInterval(leaseTimer);
+    clearInterval(visibilityTimer);
+    clearInterval(heartbeatTimer);
+    leaseTimer = null;
+    visibilityTimer = null;
+    heartbeatTimer = null;
+    heartbeatMs = null;
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', updateConnectionStatus);
+
+    if (leader) {
+        // Nobody may have taken over yet: send what is queued rather than hand it off
+        flushHeartbeats();
+        if (channel) {
+            releaseLease();
+        }
+    }
+    setLeader(false);
+
+    if (channel) {
+        channel.close();
+        channel = null;
+    }
+    pendingHeartbeats.clear();
+    replayIds.clear();
+    resubscribeAttempts = 0;
+    needsResync = false;
+    streamStatus = 'reconnecting';
+    unansweredPublishAt = null;
+    connectionStatus = null;
+    publishFailures = 0;
+    publishRetryAt = 0;
+    debugLogging = false;
+}
+
+function canUseLocalStorage() {
+    try {
+        window.localStorage.getItem(LEADER_KEY);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function electLeader() {
+    // Without a channel there is nobody to fan out to: this page leads itself
+    if (!channel) {
+        setLeader(true);
+        return;
+    }
+
+    try {
+        const now = Date.now();
+        const lease = JSON.parse(window.localStorage.getItem(LEADER_KEY) || 'null');
+
+        if (!lease || lease.id === contextId || lease.expires < now) {
+            window.localStorage.setItem(LEADER_KEY, JSON.stringify({ id: contextId, expires: now + LEASE_MS }));
+            setLeader(true);
+        } else {
+            // Two tabs claiming an expired lease at once resolves on the next renewal:
+            // whoever's id is not in storage steps down here
+            setLeader(false);
+        }
+    } catch (error) {
+        setLeader(true);
+    }
+}
+
+function releaseLease() {
+    try {
+        const lease = JSON.parse(window.localStorage.getItem(LEADER_KEY) || 'null');
+        if (lease && lease.id === contextId) {
+            window.localStorage.removeItem(LEADER_KEY);
+        }
+    } catch (error) {
+        // Lease simply expires
+    }
+}
+
+function setLeader(value) {
+    if (leader === value) return;
+    leader = value;
+    log(leader ? '👑 Became leader' : '⬇️ Stepped down', contextId);
+
+    if (leader) {
+        setStreamStatus('reconnecting');
+        subscribeToEvents();
+    } else {
+        unsubscribeFromEvents();
+        handOffHeartbeats();
+        if (channel) {
+            channel.postMessage({ type: 'statusRequest' });
+        }
+    }
+}
+
+async function subscribeToEvents() {
+    if (!errorHandlerRegistered) {
+        // A network blip or session refresh drops the CometD connection along with our subscriptions
+        onError(error => {
+            console.error('EMP API Error:', error);
+            if (leader) {
+                needsResync = true;
+                scheduleResubscribe();
+            }
+        });
+        errorHandlerRegistered = true;
+    }
+
+    const results = await Promise.all(Object.keys(EVENT_CHANNELS).map(subscribeToChannel));
+    if (!leader) return;
+
+    if (results.every(Boolean)) {
+        resubscribeAttempts = 0;
+        setStreamStatus('live');
+        if (needsResync) {
+            needsResync = false;
+            log('🔌 Reconnected, resyncing presence');
+            resync();
+        }
+    } else {
+        needsResync = true;
+        scheduleResubscribe();
+    }
+}
+
+/**
+ * Subscribe to one channel, replaying from the last event seen when there is one
+ * @returns {Promise<boolean>} whether the subscription is in place
+ */
+async function subscribeToChannel(channelName) {
+    const { type, deliver: deliverPayload } = EVENT_CHANNELS[channelName];
+    const replayId = replayIds.has(channelName) ? replayIds.get(channelName) : -1;
+
+    const callback = (response) => {
+        const payload = response.data.payload;
+        const eventReplayId = response.data.event ? response.data.event.replayId : null;
+        if (eventReplayId != null) {
+            replayIds.set(channelName, eventReplayId);
+        }
+        deliverPayload(payload);
+        if (channel) {
+            channel.postMessage({ type, payload, channelName, replayId: eventReplayId });
+        }
+    };
+
+    try {
+        const response = await subscribe(channelName, replayId, callback);
+        // Leadership may have changed while subscribing
+        if (!leader || subscriptions.has(channelName)) {
+            unsubscribe(response, () => {});
+        } else {
+            subscriptions.set(channelName, response);
+        }
+        return !!response;
+    } catch (error) {
+        console.error(`Error subscribing to ${channelName}:`, error);
+        // The replay id may be past the retention window: take new events only next time,
+        // the resync covers what was missed
+        replayIds.delete(channelName);
+        return false;
+    }
+}
+
+function unsubscribeFromEvents() {
+    clearTimeout(resubscribeTimer);
+    resubscribeTimer = null;
+
+    subscriptions.forEach(response => {
+        try {
+            unsubscribe(response, () => {});
+        } catch (error) {
+            // The connection is already gone
+        }
+    });
+    subscriptions.clear();
+}
+
+/**
+ * Drop whatever is left of the subscriptions and subscribe again after 1s, 2s, 4s... (max 60s)
+ */
+function scheduleResubscribe() {
+    if (resubscribeTimer || !leader) return;
+
+    // Jitter keeps every agent's browser from reconnecting at the same instant after an outage
+    const delay = Math.min(RESUBSCRIBE_BASE_MS * 2 ** resubscribeAttempts, RESUBSCRIBE_MAX_MS) * (1 + Math.random() * 0.2);
+    resubscribeAttempts++;
+    log(`🔌 Resubscribing in ${Math.round(delay)}ms (attempt ${resubscribeAttempts})`);
+    setStreamStatus(resubscribeAttempts > OFFLINE_AFTER_ATTEMPTS ? 'offline' : 'reconnecting');
+
+    resubscribeTimer = setTimeout(() => {
+        resubscribeTimer = null;
+        if (!leader) return;
+        unsubscribeFromEvents();
+        subscribeToEvents();
+    }, delay);
+}
+
+function handleOnline() {
+    if (!leader) return;
+    needsResync = true;
+    resubscribeAttempts = 0;
+    clearTimeout(resubscribeTimer);
+    resubscribeTimer = null;
+    scheduleResubscribe();
+}
+
+/**
+ * Events may have been missed while disconnected: have every member in every tab reload from the server
+ */
+function resync() {
+    deliverResync();
+    if (channel) {
+        channel.postMessage({ type: 'resync' });
+    }
+}
+
+/**
+ * Leader only: record the subscription state and share it with follower tabs
+ */
+function setStreamStatus(status) {
+    streamStatus = status;
+    if (leader && channel) {
+        channel.postMessage({ type: 'status', streamStatus });
+    }
+    updateConnectionStatus();
+}
+
+function computeConnectionStatus() {
+    const silenceMs = Math.max(
+        0,
+        ...Array.from(members.values()).map(member => member.presenceExpirationMs || 0)
+    ) || DEFAULT_PRESENCE_EXPIRATION_MS;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return { status: 'offline', reason: null };
+    }
+    if (streamStatus !== 'live') {
+        return { status: streamStatus, reason: null };
+    }
+    if (publishFailures > 0) {
+        return { status: 'degraded', reason: 'publishFailing' };
+    }
+    if (unansweredPublishAt && Date.now() - unansweredPublishAt > silenceMs) {
+        return { status: 'degraded', reason: 'noEvents' };
+    }
+    return { status: 'live', reason: null };
+}
+
+function updateConnectionStatus() {
+    const next = computeConnectionStatus();
+    if (connectionStatus && connectionStatus.status === next.status && connectionStatus.reason === next.reason) return;
+
+    connectionStatus = next;
+    log('📶 Connection', next.status, next.reason || '');
+    members.forEach(member => member.onConnectionChange && member.onConnectionChange(next));
+}
+
+function deliver(payload) {
+    if (unansweredPublishAt) {
+        unansweredPublishAt = null;
+        updateConnectionStatus();
+    }
+    members.forEach(member => member.onEvent && member.onEvent(payload));
+}
+
+function deliverNudge(payload) {
+    members.forEach(member => member.onNudge && member.onNudge(payload));
+}
+
+function deliverInvisibleMode(invisible) {
+    members.forEach(member => member.onInvisibleModeChange && member.onInvisibleModeChange(invisible));
+}
+
+function deliverResync() {
+    members.forEach(member => member.onResync && member.onResync());
+}
+
+function handleMessage(event) {
+    const message = event.data || {};
+
+    // Followers track replay ids too, so whoever leads next resumes where this leader was
+    if (message.channelName && message.replayId != null) {
+        replayIds.set(message.channelName, message.replayId);
+    }
+
+    if (message.type === 'event' && !leader) {
+        deliver(message.payload);
+    } else if (message.type === 'nudge' && !leader) {
+        deliverNudge(message.payload);
+    } else if (message.type === 'resync' && !leader) {
+        deliverResync();
+    } else if (message.type === 'invisible') {
+        deliverInvisibleMode(message.invisible);
+    } else if (message.type === 'status' && !leader) {
+        streamStatus = message.streamStatus;
+        updateConnectionStatus();
+    } else if (message.type === 'statusRequest' && leader) {
+        channel.postMessage({ type: 'status', streamStatus });
+    } else if (message.type === 'heartbeats' && leader) {
+        (message.updates || []).forEach(queueHeartbeat);
+    }
+}
+
+/**
+ * Keep the newest heartbeat per session; draft checks of a replaced one still get reported
+ */
+function queueHeartbeat(update) {
+    const previous = pendingHeartbeats.get(update.sessionId);
+    if (previous && previous.draftChecks) {
+        update = { ...update, draftChecks: (update.draftChecks || 0) + previous.draftChecks };
+    }
+    pendingHeartbeats.set(update.sessionId, update);
+}
+
+/**
+ * Pass the queued heartbeats (our followers' included) to whoever leads now
+ */
+function handOffHeartbeats() {
+    if (!pendingHeartbeats.size || !channel) return;
+    const updates = Array.from(pendingHeartbeats.values());
+    pendingHeartbeats.clear();
+    log(`🤝 Handing ${updates.length} heartbeat(s) to the new leader`);
+    channel.postMessage({ type: 'heartbeats', updates });
+}
+
+/**
+ * Publish the queued heartbeats now, fire and forget
+ */
+function flushHeartbeats() {
+    if (!pendingHeartbeats.size) return;
+    const updates = Array.from(pendingHeartbeats.values());
+    pendingHeartbeats.clear();
+    publishPresenceBatch({ updates }).catch(error => console.error('Error publishing heartbeats:', error));
+}
+
+function scheduleHeartbeat() {
+    const interval = Math.min(
+        ...Array.from(members.values()).map(member => member.heartbeatMs || DEFAULT_HEARTBEAT_MS)
+    );
+    if (heartbeatTimer && interval === heartbeatMs) return;
+
+    clearInterval(heartbeatTimer);
+    heartbeatMs = interval;
+    heartbeatTimer = setInterval(sendHeartbeats, Math.min(interval, MAX_TICK_MS));
+}
+
+function sendHeartbeats() {
+    const updates = [];
+    members.forEach(member => {
+        const update = member.getHeartbeat && member.getHeartbeat();
+        if (update) updates.push(update);
+    });
+
+    if (!leader) {
+        if (updates.length && channel) {
+            channel.postMessage({ type: 'heartbeats', updates });
+        }
+        return;
+    }
+
+    updates.forEach(queueHeartbeat);
+    // Backing off after failed publishes: keep collecting until the retry time
+    if (!pendingHeartbeats.size || Date.now() < publishRetryAt) return;
+
+    const batch = Array.from(pendingHeartbeats.values());
+    pendingHeartbeats.clear();
+
+    log(`💓 Publishing ${batch.length} heartbeat(s)`);
+    publishPresenceBatch({ updates: batch })
+        .then(() => reportPublishResult(true))
+        .catch(error => {
+            console.error('Error publishing heartbeats:', error);
+            // Put them back; a newer heartbeat for the same session that arrived meanwhile wins
+            batch.forEach(update => {
+                const newer = pendingHeartbeats.get(update.sessionId);
+                pendingHeartbeats.set(update.sessionId, newer
+                    ? { ...newer, draftChecks: (newer.draftChecks || 0) + (update.draftChecks || 0) }
+                    : update);
+            });
+            reportPublishResult(false);
+            publishRetryAt = Date.now() + Math.min(PUBLISH_RETRY_BASE_MS * 2 ** (publishFailures - 1), PUBLISH_RETRY_MAX_MS);
+            // Stepped down while the call was out: the new leader retries them
+            if (!leader) handOffHeartbeats();
+        });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function log(message, ...args) {
+    if (debugLogging) {
+        console.log('[Case Presence]', message, ...args);
+    }
+}
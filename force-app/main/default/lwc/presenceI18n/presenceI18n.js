@@ -0,0 +1,218 @@
+import LOCALE from '@salesforce/i18n/locale';
+import LANG from '@salesforce/i18n/lang';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import DIR from '@salesforce/i18n/dir';
+
+/**
+ * Locale helpers shared by the Case Presence components.
+ *
+ * Strings live in custom labels (CasePresence_*) with {0}, {1} placeholders so translators
+ * can reorder them. Times and durations are formatted with Intl in the user's locale
+ * and time zone rather than built by hand.
+ */
+
+export const TEXT_DIRECTION = DIR === 'rtl' ? 'rtl' : 'ltr';
+export const IS_RTL = TEXT_DIRECTION === 'rtl';
+
+// Languages that keep capitalized nouns inside a sentence ("diesen Datensatz" vs "this case")
+const CAPITALIZED_NOUN_LANGUAGES = ['de'];
+
+// Salesforce locales use underscores (fr_FR); Intl wants BCP 47 tags (fr-FR)
+const INTL_LOCALE = (LOCALE || LANG || 'en-US').replace(/_/g, '-');
+
+const formatterCache = new Map();
+
+// Intl throws on a locale or time zone it doesn't know; fall back to the browser default
+function getFormatter(key, create) {
+    if (!formatterCache.has(key)) {
+        let formatter;
+        try {
+            formatter = create(INTL_LOCALE, TIME_ZONE);
+        } catch (error) {
+            try {
+                formatter = create(undefined, undefined);
+            } catch (fallbackError) {
+                formatter = null;
+            }
+        }
+        formatterCache.set(key, formatter);
+    }
+    return formatterCache.get(key);
+}
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Fill {0}, {1}... in a custom label
+ */
+export function formatLabel(label, ...args) {
+    return String(label || '').replace(/\{(\d+)\}/g, (match, index) => {
+        const value = args[Number(index)];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Hours and minutes in the user's locale and time zone, e.g. "14:05" or "2:05 PM"
+ */
+export function formatTime(value) {
+    const date = toDate(value);
+    if (!date) {
+        return '';
+    }
+    const formatter = getFormatter('time', (locale, timeZone) =>
+        new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone })
+    );
+    return formatter ? formatter.format(date) : date.toLocaleTimeString();
+}
+
+/**
+ * Date and time in the user's locale and time zone, e.g. "Oct 19, 2026, 2:05 PM" or "19 oct. 2026, 14:05"
+ */
+export function formatDateTime(value) {
+    const date = toDate(value);
+    if (!date) {
+        return '';
+    }
+    const formatter = getFormatter('dateTime', (locale, timeZone) =>
+        new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone })
+    );
+    return formatter ? formatter.format(date) : date.toLocaleString();
+}
+
+/**
+ * A GMT calendar day ("2026-10-19") in the user's date format, e.g. "Oct 19, 2026" or "19.10.2026"
+ */
+export function formatGmtDay(value) {
+    const date = toDate(value);
+    if (!date) {
+        return '';
+    }
+    const formatter = getFormatter('gmtDay', locale =>
+        new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' })
+    );
+    return formatter ? formatter.format(date) : value;
+}
+
+/**
+ * A count with the user's digit grouping, e.g. "12,500" / "12 500" / "12.500"
+ */
+export function formatNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    const formatter = getFormatter('number', locale => new Intl.NumberFormat(locale));
+    return formatter ? formatter.format(value) : String(value);
+}
+
+/**
+ * A wall-clock "HH:MM" setting (e.g. quiet hours) shown the user's way, e.g. "18:00" or "6:00 PM"
+ */
+export function formatClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    if (!match) {
+        return '';
+    }
+    const formatter = getFormatter('clock', locale =>
+        new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    );
+    const date = new Date(Date.UTC(1970, 0, 1, Number(match[1]), Number(match[2])));
+    return formatter ? formatter.format(date) : value;
+}
+
+/**
+ * Minutes since midnight in the user's time zone, to compare with "HH:MM" settings
+ */
+export function minutesOfDay(value = new Date()) {
+    const date = toDate(value) || new Date();
+    const formatter = getFormatter('minutes', (locale, timeZone) =>
+        new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: 'numeric', hourCycle: 'h23', timeZone })
+    );
+    if (!formatter) {
+        return date.getHours() * 60 + date.getMinutes();
+    }
+    const parts = formatter.formatToParts(date);
+    const part = type => Number((parts.find(p => p.type === type) || {}).value || 0);
+    return (part('hour') % 24) * 60 + part('minute');
+}
+
+/**
+ * How long ago a moment was, e.g. "5 minutes ago" / "il y a 5 minutes" / "לפני 5 דקות"
+ */
+export function formatRelativeTime(value, now = Date.now()) {
+    const date = toDate(value);
+    if (!date) {
+        return '';
+    }
+    const seconds = Math.round((date.getTime() - now) / 1000);
+    const formatter = getFormatter('relative', locale =>
+        new Intl.RelativeTimeFormat(locale, { numeric: 'auto' })
+    );
+    const [amount, unit] = Math.abs(seconds) < 3600
+        ? [Math.round(seconds / 60), 'minute']
+        : Math.abs(seconds) < 86400
+            ? [Math.round(seconds / 3600), 'hour']
+            : [Math.round(seconds / 86400), 'day'];
+    return formatter ? formatter.format(amount, unit) : formatTime(date);
+}
+
+function formatUnit(amount, unit) {
+    const formatter = getFormatter(`unit-${unit}`, locale =>
+        new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'narrow' })
+    );
+    return formatter ? formatter.format(amount) : `${amount}${unit.charAt(0)}`;
+}
+
+/**
+ * A duration in seconds as the largest sensible units, e.g. "45s", "12m", "1h 5m" (localized)
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    if (total < 60) {
+        return formatUnit(total, 'second');
+    }
+    const minutes = Math.floor(total / 60);
+    if (minutes < 60) {
+        return formatUnit(minutes, 'minute');
+    }
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? `${formatUnit(hours, 'hour')} ${formatUnit(rest, 'minute')}` : formatUnit(hours, 'hour');
+}
+
+/**
+ * Join items as a sentence in the user's language, e.g. "Subject, Status and Priority"
+ */
+export function formatList(items) {
+    const formatter = getFormatter('list', locale =>
+        new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' })
+    );
+    return formatter ? formatter.format(items) : items.join(', ');
+}
+
+/**
+ * Uppercase the first letter in the user's locale
+ */
+export function capitalize(text) {
+    if (!text) {
+        return '';
+    }
+    return text.charAt(0).toLocaleUpperCase(INTL_LOCALE) + text.slice(1);
+}
+
+/**
+ * An object label as it reads mid-sentence: "this case" in English, "diesen Fall" in German
+ */
+export function formatObjectLabel(label) {
+    if (!label) {
+        return '';
+    }
+    const language = INTL_LOCALE.split('-')[0];
+    return CAPITALIZED_NOUN_LANGUAGES.includes(language) ? label : label.toLocaleLowerCase(INTL_LOCALE);
+}